@@ -3,6 +3,17 @@ import './App.css';
 
 const MAX_STEAM_IDS = 25000;
 const PROCESSED_PREVIEW_LIMIT = 20;
+// Abas de processamento por provedor; a lista exibida vem de GET /providers.
+const PROVIDER_TABS = {
+  steamwebapi: { tab: 'analysis', label: 'Análise de inventário' },
+  montuga: { tab: 'montuga', label: 'Montuga API' },
+};
+const DEFAULT_PROVIDER_TABS = Object.entries(PROVIDER_TABS).map(([name, config]) => ({
+  name,
+  ...config,
+  configured: true,
+}));
+
 function normalizeHistoryEntryPayload(entry) {
   if (!entry || typeof entry !== 'object') {
     return null;
@@ -49,6 +60,17 @@ function sanitizeSteamId(value) {
   return digits;
 }
 
+function formatProfileValue(profile) {
+  const hasDisplayValue = typeof profile?.totalValue === 'number' && profile?.currency;
+  const value = hasDisplayValue ? profile.totalValue : Number(profile?.totalValueBRL || 0);
+  const currency = hasDisplayValue ? profile.currency : 'BRL';
+  try {
+    return new Intl.NumberFormat('pt-BR', { style: 'currency', currency }).format(value);
+  } catch {
+    return `${currency} ${value.toFixed(2)}`;
+  }
+}
+
 function extractUniqueSteamIds(value) {
   const unique = new Set();
   for (const chunk of String(value ?? '').split(/\s+/)) {
@@ -60,6 +82,582 @@ function extractUniqueSteamIds(value) {
   return Array.from(unique);
 }
 
+function downloadJobWorkbook(jobId) {
+  if (!jobId) return;
+  const link = document.createElement('a');
+  link.href = `/process/${encodeURIComponent(jobId)}/export?format=xlsx`;
+  link.download = '';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
+const SPARKLINE_WIDTH = 96;
+const SPARKLINE_HEIGHT = 24;
+const SPARKLINE_POINTS = 30;
+
+function formatBrl(value) {
+  return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(value);
+}
+
+function ProfileSparkline({ steamId }) {
+  const [values, setValues] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`/profiles/${steamId}/history?limit=${SPARKLINE_POINTS}`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (cancelled || !data) return;
+        const snapshots = Array.isArray(data.snapshots) ? data.snapshots : [];
+        setValues(snapshots.map((snapshot) => snapshot.totalValueBRL).filter((value) => typeof value === 'number'));
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [steamId]);
+
+  if (values.length < 2) {
+    return null;
+  }
+
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const step = SPARKLINE_WIDTH / (values.length - 1);
+  const points = values
+    .map((value, index) => {
+      const x = index * step;
+      const y = SPARKLINE_HEIGHT - 2 - ((value - min) / range) * (SPARKLINE_HEIGHT - 4);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+  const first = values[0];
+  const last = values[values.length - 1];
+  const trend = last > first ? 'up' : last < first ? 'down' : 'flat';
+
+  return (
+    <svg
+      className={`processed-sparkline processed-sparkline-${trend}`}
+      width={SPARKLINE_WIDTH}
+      height={SPARKLINE_HEIGHT}
+      viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`}
+      role="img"
+      aria-label={`Histórico de valor: ${formatBrl(first)} → ${formatBrl(last)} em ${values.length} análises`}
+    >
+      <title>{`${formatBrl(first)} → ${formatBrl(last)} (${values.length} análises)`}</title>
+      <polyline points={points} fill="none" strokeWidth="1.5" strokeLinejoin="round" strokeLinecap="round" />
+    </svg>
+  );
+}
+
+function describeAuditValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return '—';
+  }
+  if (typeof value === 'object') {
+    return Array.isArray(value)
+      ? `${value.length} item(ns)`
+      : Object.entries(value).map(([key, entry]) => `${key}=${entry ?? '—'}`).join(', ');
+  }
+  return String(value);
+}
+
+// Campos de retenção em branco significam "sem limite".
+function buildRetentionPayload(form) {
+  const read = (value) => (String(value).trim() === '' ? null : Number(value));
+  return {
+    historyMaxAgeHours: read(form.retentionMaxAgeHours),
+    historyMaxEntries: read(form.retentionMaxEntries),
+    reportsMaxMegabytes: read(form.retentionReportsMegabytes),
+    processedSteamIdTtlDays: read(form.retentionProcessedTtlDays),
+  };
+}
+
+function describeRetentionSummary(summary) {
+  const megabytes = (summary.reportBytes / (1024 * 1024)).toFixed(2);
+  return `${summary.historyEntries} relatório(s) do histórico, ${summary.reportFiles} arquivo(s) em reports/ `
+    + `(${megabytes} MB), ${summary.processedSteamIds} SteamID(s) processada(s) `
+    + `e itens de ${summary.profileItemJobs ?? 0} job(s)`;
+}
+
+function SettingsPanel({ onSettingsChanged }) {
+  const [password, setPassword] = useState(() => {
+    if (typeof window === 'undefined') {
+      return '';
+    }
+    return window.sessionStorage.getItem('aci-panel-password') || '';
+  });
+  const [operator, setOperator] = useState(() => {
+    if (typeof window === 'undefined') {
+      return '';
+    }
+    return window.localStorage.getItem('aci-panel-operator') || '';
+  });
+  const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState({
+    caseThreshold: '',
+    webhookUrl: '',
+    webhookSecret: '',
+    filterCategory: '',
+    itemCategories: '',
+    highValueTiers: '',
+    retentionMaxAgeHours: '',
+    retentionMaxEntries: '',
+    retentionReportsMegabytes: '',
+    retentionProcessedTtlDays: '',
+  });
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [retentionSweeps, setRetentionSweeps] = useState([]);
+  const [retentionPreview, setRetentionPreview] = useState(null);
+  const [isSweeping, setIsSweeping] = useState(false);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const panelHeaders = useCallback((extra = {}) => ({
+    'x-panel-password': password,
+    'x-panel-operator': operator.trim(),
+    ...extra,
+  }), [password, operator]);
+
+  const applySettings = useCallback((data) => {
+    setSettings(data);
+    setForm({
+      caseThreshold: String(data.caseThreshold ?? ''),
+      webhookUrl: data.webhookUrl || '',
+      webhookSecret: '',
+      filterCategory: data.filterCategory || '',
+      itemCategories: JSON.stringify(data.itemCategories ?? [], null, 2),
+      highValueTiers: JSON.stringify(data.highValueTiers ?? [], null, 2),
+      retentionMaxAgeHours: String(data.retention?.historyMaxAgeHours ?? ''),
+      retentionMaxEntries: String(data.retention?.historyMaxEntries ?? ''),
+      retentionReportsMegabytes: String(data.retention?.reportsMaxMegabytes ?? ''),
+      retentionProcessedTtlDays: String(data.retention?.processedSteamIdTtlDays ?? ''),
+    });
+  }, []);
+
+  const loadSettings = useCallback(async () => {
+    const [settingsResponse, auditResponse, retentionResponse] = await Promise.all([
+      fetch('/settings', { headers: panelHeaders() }),
+      fetch('/settings/audit?limit=20', { headers: panelHeaders() }),
+      fetch('/settings/retention?limit=5', { headers: panelHeaders() }),
+    ]);
+    const data = await settingsResponse.json().catch(() => ({}));
+    if (!settingsResponse.ok) {
+      throw new Error(data.error || 'Não foi possível carregar as configurações.');
+    }
+    applySettings(data);
+    const audit = await auditResponse.json().catch(() => ({}));
+    setAuditEntries(Array.isArray(audit.entries) ? audit.entries : []);
+    const retention = await retentionResponse.json().catch(() => ({}));
+    setRetentionSweeps(Array.isArray(retention.sweeps) ? retention.sweeps : []);
+  }, [panelHeaders, applySettings]);
+
+  const autoLoginAttemptedRef = useRef(false);
+
+  useEffect(() => {
+    // Só na montagem: digitar a senha depois não deve disparar o login automático.
+    if (autoLoginAttemptedRef.current) {
+      return;
+    }
+    autoLoginAttemptedRef.current = true;
+    if (!password || isAuthenticated) {
+      return;
+    }
+    // Sessão anterior ainda guardada: tenta entrar direto.
+    loadSettings()
+      .then(() => setIsAuthenticated(true))
+      .catch(() => window.sessionStorage.removeItem('aci-panel-password'));
+  }, [password, isAuthenticated, loadSettings]);
+
+  const handleLogin = useCallback(async (event) => {
+    event.preventDefault();
+    setError(null);
+    setStatus(null);
+    if (!operator.trim()) {
+      setError('Informe seu nome para registrar as alterações.');
+      return;
+    }
+    try {
+      const response = await fetch('/auth', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setError(data.error || 'Senha incorreta.');
+        return;
+      }
+      // Senha individual: o servidor diz quem é o operador, e esse nome prevalece sobre o digitado.
+      const operatorName = data.operator?.verified ? data.operator.name : operator.trim();
+      setOperator(operatorName);
+      window.sessionStorage.setItem('aci-panel-password', password);
+      window.localStorage.setItem('aci-panel-operator', operatorName);
+      await loadSettings();
+      setIsAuthenticated(true);
+    } catch (loginError) {
+      setError(loginError.message || 'Erro de rede ao autenticar.');
+    }
+  }, [operator, password, loadSettings]);
+
+  const handleLogout = useCallback(() => {
+    window.sessionStorage.removeItem('aci-panel-password');
+    setPassword('');
+    setIsAuthenticated(false);
+    setSettings(null);
+    setAuditEntries([]);
+    setRetentionSweeps([]);
+    setRetentionPreview(null);
+    setStatus(null);
+    setError(null);
+  }, []);
+
+  const handleSave = useCallback(async (event) => {
+    event.preventDefault();
+    setError(null);
+    setStatus(null);
+
+    let itemCategories;
+    let highValueTiers;
+    try {
+      itemCategories = JSON.parse(form.itemCategories || '[]');
+    } catch {
+      setError('As categorias de itens precisam ser um JSON válido.');
+      return;
+    }
+    try {
+      highValueTiers = JSON.parse(form.highValueTiers || '[]');
+    } catch {
+      setError('As faixas de alto valor precisam ser um JSON válido.');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await fetch('/settings', {
+        method: 'POST',
+        headers: panelHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({
+          caseThreshold: form.caseThreshold === '' ? undefined : Number(form.caseThreshold),
+          webhookUrl: form.webhookUrl,
+          webhookSecret: form.webhookSecret.trim() || undefined,
+          filterCategory: form.filterCategory,
+          itemCategories,
+          highValueTiers,
+          retention: buildRetentionPayload(form),
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 401) {
+        handleLogout();
+        setError(data.error || 'Sessão expirada. Entre novamente.');
+        return;
+      }
+      if (!response.ok) {
+        setError(data.error || 'Não foi possível salvar as configurações.');
+        return;
+      }
+      applySettings(data);
+      await loadSettings();
+      setStatus('Configurações salvas.');
+      if (onSettingsChanged) {
+        onSettingsChanged();
+      }
+    } catch {
+      setError('Erro de rede ao salvar as configurações.');
+    } finally {
+      setIsSaving(false);
+    }
+  }, [form, panelHeaders, applySettings, loadSettings, handleLogout, onSettingsChanged]);
+
+  const handleTestWebhook = useCallback(async () => {
+    setError(null);
+    setStatus(null);
+    try {
+      const response = await fetch('/settings/webhook/test', {
+        method: 'POST',
+        headers: panelHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ url: form.webhookUrl.trim() || undefined }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setError(data.error ? `Teste de webhook falhou: ${data.error}` : 'Teste de webhook falhou.');
+        return;
+      }
+      setStatus(`Webhook de teste entregue em ${data.url} (HTTP ${data.status}).`);
+    } catch {
+      setError('Erro de rede ao testar o webhook.');
+    }
+  }, [form.webhookUrl, panelHeaders]);
+
+  const handleRetentionPreview = useCallback(async () => {
+    setError(null);
+    setStatus(null);
+    setRetentionPreview(null);
+    try {
+      const response = await fetch('/settings/retention/dry-run', {
+        method: 'POST',
+        headers: panelHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ retention: buildRetentionPayload(form) }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setError(data.error || 'Não foi possível simular a limpeza.');
+        return;
+      }
+      setRetentionPreview(data.summary);
+    } catch {
+      setError('Erro de rede ao simular a limpeza.');
+    }
+  }, [form, panelHeaders]);
+
+  const handleRetentionSweep = useCallback(async () => {
+    setError(null);
+    setStatus(null);
+    setRetentionPreview(null);
+    setIsSweeping(true);
+    try {
+      const response = await fetch('/settings/retention/sweep', {
+        method: 'POST',
+        headers: panelHeaders({ 'Content-Type': 'application/json' }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setError(data.error || 'Não foi possível executar a limpeza.');
+        return;
+      }
+      setStatus(`Limpeza concluída: ${describeRetentionSummary(data.summary)} removido(s).`);
+      await loadSettings();
+    } catch {
+      setError('Erro de rede ao executar a limpeza.');
+    } finally {
+      setIsSweeping(false);
+    }
+  }, [panelHeaders, loadSettings]);
+
+  const updateField = (field) => (event) => {
+    const { value } = event.target;
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  if (!isAuthenticated) {
+    return (
+      <section className="settings-panel surface">
+        <div className="card-header">
+          <h2>Configurações</h2>
+          <p>
+            Acesso restrito. Informe a senha do painel e seu nome para registrar as alterações. Com a senha
+            compartilhada, o nome fica marcado como autodeclarado no histórico.
+          </p>
+        </div>
+        {error && <div className="alert alert-error">{error}</div>}
+        <form className="settings-form" onSubmit={handleLogin}>
+          <label className="field-label" htmlFor="settings-operator">Seu nome</label>
+          <input
+            id="settings-operator"
+            type="text"
+            value={operator}
+            onChange={(event) => setOperator(event.target.value)}
+            maxLength={60}
+          />
+          <label className="field-label" htmlFor="settings-password">Senha do painel</label>
+          <input
+            id="settings-password"
+            type="password"
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+          />
+          <div className="button-row">
+            <button type="submit" className="primary-btn">Entrar</button>
+          </div>
+        </form>
+      </section>
+    );
+  }
+
+  const categories = Array.isArray(settings?.itemCategories) ? settings.itemCategories : [];
+
+  return (
+    <section className="settings-panel surface">
+      <div className="card-header">
+        <h2>Configurações</h2>
+        <p>Alterações valem para os próximos perfis processados. Conectado como {operator.trim()}.</p>
+      </div>
+      {error && <div className="alert alert-error">{error}</div>}
+      {status && <div className="alert alert-success">{status}</div>}
+      <form className="settings-form" onSubmit={handleSave}>
+        <label className="field-label" htmlFor="settings-threshold">Percentual mínimo da categoria de filtro (%)</label>
+        <input
+          id="settings-threshold"
+          type="number"
+          min="0"
+          max="100"
+          step="0.1"
+          value={form.caseThreshold}
+          onChange={updateField('caseThreshold')}
+        />
+        <label className="field-label" htmlFor="settings-filter-category">Categoria usada no filtro</label>
+        <select
+          id="settings-filter-category"
+          className="preset-select"
+          value={form.filterCategory}
+          onChange={updateField('filterCategory')}
+        >
+          {categories.map((category) => (
+            <option key={category.id} value={category.id}>{category.label}</option>
+          ))}
+          <option value="other">Outros</option>
+        </select>
+        <label className="field-label" htmlFor="settings-webhook">Webhook padrão</label>
+        <input
+          id="settings-webhook"
+          type="url"
+          placeholder="https://"
+          value={form.webhookUrl}
+          onChange={updateField('webhookUrl')}
+        />
+        <p className="field-hint">
+          Usado quando o job não informa um webhook próprio. Em branco, vale NOTIFY_WEBHOOK_URL do servidor.
+        </p>
+        <label className="field-label" htmlFor="settings-webhook-secret">Segredo de assinatura dos webhooks</label>
+        <input
+          id="settings-webhook-secret"
+          type="password"
+          autoComplete="new-password"
+          placeholder={settings?.webhookSecretConfigured ? 'Configurado — deixe em branco para manter' : 'Não configurado'}
+          value={form.webhookSecret}
+          onChange={updateField('webhookSecret')}
+        />
+        <div className="button-row">
+          <button type="button" className="secondary-btn" onClick={handleTestWebhook}>
+            Enviar webhook de teste
+          </button>
+        </div>
+        <label className="field-label" htmlFor="settings-categories">Categorias de itens (JSON)</label>
+        <textarea
+          id="settings-categories"
+          rows={12}
+          value={form.itemCategories}
+          onChange={updateField('itemCategories')}
+          spellCheck={false}
+        />
+        <p className="field-hint">Cada categoria aceita id, label, types, namePattern (regex) e tags.</p>
+        <label className="field-label" htmlFor="settings-tiers">Faixas de alto valor (JSON)</label>
+        <textarea
+          id="settings-tiers"
+          rows={6}
+          value={form.highValueTiers}
+          onChange={updateField('highValueTiers')}
+          spellCheck={false}
+        />
+        <p className="field-hint">Cada faixa aceita id, label e minValueBRL. O perfil recebe a maior faixa atingida.</p>
+        <label className="field-label" htmlFor="settings-retention-age">Idade máxima dos relatórios (horas)</label>
+        <input
+          id="settings-retention-age"
+          type="number"
+          min="1"
+          step="1"
+          value={form.retentionMaxAgeHours}
+          onChange={updateField('retentionMaxAgeHours')}
+        />
+        <label className="field-label" htmlFor="settings-retention-entries">Quantidade máxima de relatórios</label>
+        <input
+          id="settings-retention-entries"
+          type="number"
+          min="1"
+          step="1"
+          value={form.retentionMaxEntries}
+          onChange={updateField('retentionMaxEntries')}
+        />
+        <label className="field-label" htmlFor="settings-retention-reports">Espaço máximo da pasta reports/ (MB)</label>
+        <input
+          id="settings-retention-reports"
+          type="number"
+          min="1"
+          step="1"
+          placeholder="Sem limite"
+          value={form.retentionReportsMegabytes}
+          onChange={updateField('retentionReportsMegabytes')}
+        />
+        <label className="field-label" htmlFor="settings-retention-ttl">Validade das SteamIDs processadas (dias)</label>
+        <input
+          id="settings-retention-ttl"
+          type="number"
+          min="1"
+          step="1"
+          placeholder="Sem limite"
+          value={form.retentionProcessedTtlDays}
+          onChange={updateField('retentionProcessedTtlDays')}
+        />
+        <p className="field-hint">
+          A limpeza roda periodicamente no servidor. Arquivos mais antigos de reports/ saem primeiro; SteamIDs
+          vencidas voltam a ser processadas. Em branco, sem limite.
+        </p>
+        <div className="button-row">
+          <button type="button" className="secondary-btn" onClick={handleRetentionPreview}>
+            Simular limpeza
+          </button>
+          <button type="button" className="secondary-btn" onClick={handleRetentionSweep} disabled={isSweeping}>
+            {isSweeping ? 'Limpando…' : 'Limpar agora'}
+          </button>
+        </div>
+        {retentionPreview && (
+          <p className="field-hint">Seriam removidos: {describeRetentionSummary(retentionPreview)}.</p>
+        )}
+        <div className="button-row">
+          <button type="submit" className="primary-btn" disabled={isSaving}>
+            {isSaving ? 'Salvando…' : 'Salvar configurações'}
+          </button>
+          <button type="button" className="ghost-btn" onClick={handleLogout}>
+            Sair
+          </button>
+        </div>
+      </form>
+
+      <div className="settings-audit">
+        <h3>Últimas alterações</h3>
+        {auditEntries.length === 0 ? (
+          <p className="field-hint">Nenhuma alteração registrada.</p>
+        ) : (
+          <ul>
+            {auditEntries.map((entry, index) => (
+              <li key={`${entry.at}-${index}`}>
+                <span className="settings-audit-time">{new Date(entry.at).toLocaleString('pt-BR')}</span>
+                {' '}
+                <strong>{entry.operator}</strong>{entry.operatorVerified ? '' : ' (autodeclarado)'} {entry.action}{entry.target ? ` ${entry.target}` : ''}:{' '}
+                {entry.changes
+                  .map((change) => `${change.field} ${describeAuditValue(change.from)} → ${describeAuditValue(change.to)}`)
+                  .join('; ')}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="settings-audit">
+        <h3>Últimas limpezas</h3>
+        {retentionSweeps.length === 0 ? (
+          <p className="field-hint">Nenhuma limpeza registrada.</p>
+        ) : (
+          <ul>
+            {retentionSweeps.map((sweep) => (
+              <li key={sweep.id}>
+                <span className="settings-audit-time">{new Date(sweep.finishedAt).toLocaleString('pt-BR')}</span>
+                {' '}
+                <strong>{sweep.trigger}</strong>: {describeRetentionSummary(sweep.summary)}
+                {sweep.errors.length ? ` (${sweep.errors.length} falha(s))` : ''}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </section>
+  );
+}
+
 function App() {
   const [steamIds, setSteamIds] = useState('');
   const [logs, setLogs] = useState([]);
@@ -121,6 +719,7 @@ function App() {
     return null;
   });
   const [activeTab, setActiveTab] = useState('analysis');
+  const [providerTabs, setProviderTabs] = useState(DEFAULT_PROVIDER_TABS);
   const [friendsInput, setFriendsInput] = useState('');
   const [friendsResults, setFriendsResults] = useState([]);
   const [friendsError, setFriendsError] = useState(null);
@@ -221,6 +820,10 @@ function App() {
   const [montugaIsProcessing, setMontugaIsProcessing] = useState(false);
   const [montugaIsStopping, setMontugaIsStopping] = useState(false);
   const [montugaShareLink, setMontugaShareLink] = useState(null);
+  const [presets, setPresets] = useState([]);
+  const [selectedPresetId, setSelectedPresetId] = useState('');
+  const [rescanProcessed, setRescanProcessed] = useState(false);
+  const [montugaPresetId, setMontugaPresetId] = useState('');
 
   const applyJobResultPayload = useCallback((payload) => {
     if (!payload) {
@@ -389,6 +992,67 @@ function App() {
     }
   }, [reportHistory]);
 
+  const loadPresets = useCallback(async () => {
+    try {
+      const response = await fetch('/presets');
+      const data = await response.json().catch(() => ({}));
+      if (response.ok && Array.isArray(data.presets)) {
+        setPresets(data.presets);
+      }
+    } catch (error) {
+      console.warn('Não foi possível carregar os presets de filtros.', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPresets();
+  }, [loadPresets]);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const response = await fetch('/providers');
+        const data = await response.json().catch(() => ({}));
+        if (cancelled || !response.ok || !Array.isArray(data.providers)) {
+          return;
+        }
+        const tabs = data.providers
+          .filter((provider) => PROVIDER_TABS[provider?.name])
+          .map((provider) => ({
+            name: provider.name,
+            ...PROVIDER_TABS[provider.name],
+            configured: provider.configured !== false,
+            envKey: provider.envKey || null,
+          }));
+        if (tabs.length) {
+          setProviderTabs(tabs);
+        }
+      } catch (error) {
+        console.warn('Não foi possível carregar os provedores de inventário.', error);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    const providerTabIds = Object.values(PROVIDER_TABS).map((config) => config.tab);
+    if (providerTabIds.includes(activeTab) && !providerTabs.some((provider) => provider.tab === activeTab)) {
+      setActiveTab(providerTabs[0]?.tab || 'friends');
+    }
+  }, [activeTab, providerTabs]);
+
+  const analysisPresets = useMemo(
+    () => presets.filter((preset) => preset.provider !== 'montuga'),
+    [presets],
+  );
+  const montugaPresets = useMemo(
+    () => presets.filter((preset) => preset.provider === 'montuga'),
+    [presets],
+  );
+
   useEffect(() => {
     if (typeof window === 'undefined') {
       return;
@@ -973,6 +1637,9 @@ function App() {
       const params = new URLSearchParams();
       params.set('steam_ids', sanitized.join('\n'));
       params.set('type', 'montuga');
+      if (montugaPresetId) {
+        params.set('presetId', montugaPresetId);
+      }
       const response = await fetch('/process', {
         method: 'POST',
         headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
@@ -995,7 +1662,7 @@ function App() {
       setMontugaError('Erro de rede ao iniciar o processamento.');
       setMontugaIsProcessing(false);
     }
-  }, [montugaIdMetrics, limitErrorMessage, subscribeToMontugaJob]);
+  }, [montugaIdMetrics, limitErrorMessage, subscribeToMontugaJob, montugaPresetId]);
 
   const handleMontugaPause = useCallback(async () => {
     if (!montugaJobId || montugaIsStopping) return;
@@ -1459,7 +2126,10 @@ function App() {
       return;
     }
 
-    const filteredIds = sanitizedSteamIds.filter((id) => !processedExclusionSet.has(id));
+    // Reconsultar ignora tanto a exclusão local quanto o registro de processadas do servidor.
+    const filteredIds = rescanProcessed
+      ? sanitizedSteamIds
+      : sanitizedSteamIds.filter((id) => !processedExclusionSet.has(id));
     if (filteredIds.length === 0) {
       setErrorMessage('Todos os IDs informados já constam como processados.');
       return;
@@ -1483,6 +2153,12 @@ function App() {
     try {
       const params = new URLSearchParams();
       params.set('steam_ids', payloadIds);
+      if (selectedPresetId) {
+        params.set('presetId', selectedPresetId);
+      }
+      if (rescanProcessed) {
+        params.set('rescan', 'true');
+      }
       const trimmedWebhook = webhookUrl.trim();
       if (trimmedWebhook) {
         params.set('webhook_url', trimmedWebhook);
@@ -1534,7 +2210,9 @@ function App() {
     sanitizedSteamIds,
     steamIdLimitExceeded,
     processedExclusionSet,
+    rescanProcessed,
     webhookUrl,
+    selectedPresetId,
     subscribeToJob,
     limitErrorMessage,
     applyJobResultPayload,
@@ -1563,26 +2241,26 @@ function App() {
         const contentType = response.headers.get('content-type') || '';
         if (contentType.includes('application/json')) {
           const payload = await response.json().catch(() => ({}));
-          throw new Error(payload.error || 'Nenhum relatório disponível nas últimas 24 horas.');
+          throw new Error(payload.error || 'Nenhum relatório disponível no período de retenção.');
         }
         const message = await response.text();
         const cleanMessage = message && /<\/?[a-z][^>]*>/i.test(message)
-          ? 'Nenhum relatório disponível nas últimas 24 horas.'
-          : (message || 'Nenhum relatório disponível nas últimas 24 horas.');
+          ? 'Nenhum relatório disponível no período de retenção.'
+          : (message || 'Nenhum relatório disponível no período de retenção.');
         throw new Error(cleanMessage);
       }
       const blob = await response.blob();
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `relatorio_historico_24h_${new Date().toISOString().slice(0, 10)}.html`;
+      link.download = `relatorio_historico_${new Date().toISOString().slice(0, 10)}.html`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
       URL.revokeObjectURL(url);
       setStatusBanner({ type: 'success', message: 'Download do histórico iniciado com sucesso.' });
     } catch (error) {
-      setStatusBanner({ type: 'error', message: error.message || 'Falha ao baixar o histórico de 24h.' });
+      setStatusBanner({ type: 'error', message: error.message || 'Falha ao baixar o histórico de relatórios.' });
     }
   }, []);
 
@@ -1860,26 +2538,30 @@ function App() {
 
       <main className="workspace">
         <div className="tab-navigation">
+          {providerTabs.map((provider) => (
+            <button
+              key={provider.name}
+              type="button"
+              className={`tab-button ${activeTab === provider.tab ? 'tab-button-active' : ''}`}
+              onClick={() => setActiveTab(provider.tab)}
+              title={provider.configured ? undefined : `Defina ${provider.envKey} no servidor para usar este provedor.`}
+            >
+              {provider.configured ? provider.label : `${provider.label} (não configurado)`}
+            </button>
+          ))}
           <button
             type="button"
-            className={`tab-button ${activeTab === 'analysis' ? 'tab-button-active' : ''}`}
-            onClick={() => setActiveTab('analysis')}
-          >
-            Análise de inventário
-          </button>
-          <button
-            type="button"
-            className={`tab-button ${activeTab === 'montuga' ? 'tab-button-active' : ''}`}
-            onClick={() => setActiveTab('montuga')}
+            className={`tab-button ${activeTab === 'friends' ? 'tab-button-active' : ''}`}
+            onClick={() => setActiveTab('friends')}
           >
-            Montuga API
+            Lista de amigos
           </button>
           <button
             type="button"
-            className={`tab-button ${activeTab === 'friends' ? 'tab-button-active' : ''}`}
-            onClick={() => setActiveTab('friends')}
+            className={`tab-button ${activeTab === 'settings' ? 'tab-button-active' : ''}`}
+            onClick={() => setActiveTab('settings')}
           >
-            Lista de amigos
+            Configurações
           </button>
         </div>
 
@@ -1923,6 +2605,46 @@ function App() {
                 </div>
               </div>
 
+              {analysisPresets.length > 0 && (
+                <>
+                  <label className="field-label" htmlFor="analysis-preset">Preset de filtros</label>
+                  <select
+                    id="analysis-preset"
+                    className="preset-select"
+                    value={selectedPresetId}
+                    onChange={(event) => setSelectedPresetId(event.target.value)}
+                    disabled={isJobActive}
+                  >
+                    <option value="">Sem preset (configuração padrão)</option>
+                    {analysisPresets.map((preset) => (
+                      <option key={preset.id} value={preset.id}>
+                        {preset.name} · {preset.providerLabel} · {preset.currency}
+                      </option>
+                    ))}
+                  </select>
+                  {selectedPresetId && (
+                    <p className="field-hint">
+                      {analysisPresets.find((preset) => preset.id === selectedPresetId)?.summary}
+                    </p>
+                  )}
+                </>
+              )}
+
+              <label className="checkbox-field" htmlFor="analysis-rescan">
+                <input
+                  id="analysis-rescan"
+                  type="checkbox"
+                  checked={rescanProcessed}
+                  onChange={(event) => setRescanProcessed(event.target.checked)}
+                  disabled={isJobActive}
+                />
+                Consultar novamente IDs já processadas
+              </label>
+              {rescanProcessed && (
+                <p className="field-hint">
+                  As IDs do registro de processadas e da exclusão local entram no job para comparar com execuções anteriores.
+                </p>
+              )}
 
               <div className="button-row">
                 <button
@@ -1977,7 +2699,7 @@ function App() {
                 onClick={handleDownloadHistory}
                 disabled={(isProcessing && !isPaused) || isStoppingJob}
               >
-                Download histórico (24h)
+                Download histórico
               </button>
             </form>
 
@@ -2111,7 +2833,8 @@ function App() {
                         </span>
                         {profile.status === 'success' && (
                           <span className="processed-value">
-                            R$ {Number(profile.totalValueBRL || 0).toFixed(2).replace('.', ',')}
+                            <ProfileSparkline steamId={profile.id} />
+                            {formatProfileValue(profile)}
                           </span>
                         )}
                       </div>
@@ -2213,9 +2936,19 @@ function App() {
                       : 'Visualize o relatório renderizado diretamente dentro do painel.'}
                   </p>
                 </div>
-                <button type="button" className="secondary-btn" onClick={handleDownloadReport}>
-                  Baixar HTML
-                </button>
+                <div className="report-actions">
+                  <button type="button" className="secondary-btn" onClick={handleDownloadReport}>
+                    Baixar HTML
+                  </button>
+                  <button
+                    type="button"
+                    className="secondary-btn"
+                    onClick={() => downloadJobWorkbook(jobResult.jobId)}
+                    disabled={!jobResult.jobId}
+                  >
+                    Baixar Excel
+                  </button>
+                </div>
               </div>
               <div className="report-frame">
                 <iframe
@@ -2336,6 +3069,31 @@ function App() {
                     </div>
                   </div>
 
+                  {montugaPresets.length > 0 && (
+                    <>
+                      <label className="field-label" htmlFor="montuga-preset">Preset de filtros</label>
+                      <select
+                        id="montuga-preset"
+                        className="preset-select"
+                        value={montugaPresetId}
+                        onChange={(event) => setMontugaPresetId(event.target.value)}
+                        disabled={montugaIsJobActive}
+                      >
+                        <option value="">Sem preset (configuração padrão)</option>
+                        {montugaPresets.map((preset) => (
+                          <option key={preset.id} value={preset.id}>
+                            {preset.name} · {preset.currency}
+                          </option>
+                        ))}
+                      </select>
+                      {montugaPresetId && (
+                        <p className="field-hint">
+                          {montugaPresets.find((preset) => preset.id === montugaPresetId)?.summary}
+                        </p>
+                      )}
+                    </>
+                  )}
+
                   <div className="button-row">
                     <button
                       type="submit"
@@ -2434,7 +3192,7 @@ function App() {
                             </span>
                             {profile.status === 'success' && (
                               <span className="processed-value">
-                                R$ {Number(profile.totalValueBRL || 0).toFixed(2).replace('.', ',')}
+                                {formatProfileValue(profile)}
                               </span>
                             )}
                           </div>
@@ -2527,9 +3285,19 @@ function App() {
                       <h2>{montugaJobResult.partial ? 'Relatório parcial' : 'Relatório detalhado'}</h2>
                       <p className="card-subtitle">Visualize o relatório renderizado diretamente no painel.</p>
                     </div>
-                    <button type="button" className="secondary-btn" onClick={handleMontugaDownloadReport}>
-                      Baixar HTML
-                    </button>
+                    <div className="report-actions">
+                      <button type="button" className="secondary-btn" onClick={handleMontugaDownloadReport}>
+                        Baixar HTML
+                      </button>
+                      <button
+                        type="button"
+                        className="secondary-btn"
+                        onClick={() => downloadJobWorkbook(montugaJobResult.jobId)}
+                        disabled={!montugaJobResult.jobId}
+                      >
+                        Baixar Excel
+                      </button>
+                    </div>
                   </div>
                   <div className="report-frame">
                     <iframe
@@ -2542,6 +3310,8 @@ function App() {
               )}
             </section>
           </div>
+        ) : activeTab === 'settings' ? (
+          <SettingsPanel onSettingsChanged={loadPresets} />
         ) : (
           <section className="friends-panel surface">
             <div className="card-header">
@@ -2,9 +2,11 @@ import 'dotenv/config';
 import express from 'express';
 import path from 'path';
 import fs from 'fs/promises';
-import { existsSync } from 'fs';
-import { randomUUID } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, renameSync } from 'fs';
+import { createHmac, randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { deflateRawSync, deflateSync } from 'zlib';
 
 const STEAMWEBAPI_BASE_URL = 'https://www.steamwebapi.com/steam/api';
 const STEAM_API_BASE_URL = 'https://api.steampowered.com/';
@@ -22,22 +24,22 @@ const ROOT_DIR = __dirname;
 const DIST_DIR = path.join(ROOT_DIR, 'dist');
 const HISTORY_FILE = path.join(ROOT_DIR, 'history.json');
 const REPORTS_DIR = path.join(ROOT_DIR, 'reports');
+const JOBS_DIR = path.join(ROOT_DIR, 'jobs');
 
 const STEAMWEBAPI_KEY = process.env.STEAMWEBAPI_KEY;
 const MONTUGA_API_KEY = process.env.MONTUGA_API_KEY;
 const STEAM_API_KEY = process.env.STEAM_API_KEY;
 const PANEL_PASSWORD = (process.env.PANEL_PASSWORD || '').trim();
+// PANEL_OPERATORS="nome:senha,nome2:senha2": senhas individuais, que identificam quem alterou o quê.
+const PANEL_OPERATORS = parsePanelOperators(process.env.PANEL_OPERATORS);
+// npm run migrate:history só importa o history.json para o banco: não exige as chaves das APIs nem
+// dispara as tarefas de inicialização do servidor (câmbio, varredura de retenção, jobs persistidos).
+const MIGRATE_HISTORY_ONLY = process.argv.includes('--migrate-history');
 
-if (!STEAM_API_KEY) {
+if (!STEAM_API_KEY && !MIGRATE_HISTORY_ONLY) {
   console.error('\n❌ Falha na inicialização: defina a variável STEAM_API_KEY.');
   process.exit(1);
 }
-if (!STEAMWEBAPI_KEY) {
-  console.warn('\n⚠️  STEAMWEBAPI_KEY não definida. A aba Steam Web API não funcionará.');
-}
-if (!MONTUGA_API_KEY) {
-  console.warn('\n⚠️  MONTUGA_API_KEY não definida. A aba Montuga API não funcionará.');
-}
 
 if (!globalThis.fetch) {
   console.error('\n❌ A API Fetch não está disponível. Utilize Node.js 18+.');
@@ -46,7 +48,39 @@ if (!globalThis.fetch) {
 
 // ----------------- Configurações em tempo real -----------------
 const SETTINGS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'panel_settings.json');
-let runtimeSettings = { caseThreshold: CASE_PERCENTAGE_THRESHOLD_DEFAULT, webhookUrl: '' };
+const DEFAULT_ITEM_CATEGORIES = [
+  { id: 'case', label: 'Caixas', types: ['case'], namePattern: '', tags: [] },
+  { id: 'capsule', label: 'Cápsulas', types: ['sticker capsule', 'capsule'], namePattern: '\\bCapsule\\b', tags: [] },
+  { id: 'sticker_package', label: 'Pacotes de adesivos', types: [], namePattern: '(Sticker|Patch) (Package|Pack)\\b', tags: [] },
+  { id: 'souvenir_package', label: 'Pacotes de souvenir', types: [], namePattern: '\\bSouvenir Package\\b', tags: [] },
+  { id: 'graffiti_box', label: 'Caixas de grafite', types: [], namePattern: '\\bGraffiti Box\\b', tags: [] },
+];
+const DEFAULT_FILTER_CATEGORY = 'case';
+const OTHER_ITEM_CATEGORY = { id: 'other', label: 'Outros' };
+const DEFAULT_HIGH_VALUE_TIERS = [
+  { id: 'premium', label: 'Premium', minValueBRL: HIGH_VALUE_THRESHOLD_BRL },
+  { id: 'elite', label: 'Elite', minValueBRL: 10000 },
+  { id: 'lendario', label: 'Lendário', minValueBRL: 50000 },
+];
+// null = sem limite. Os dois primeiros valores reproduzem as antigas constantes (24h e 50 relatórios).
+const DEFAULT_RETENTION_POLICY = {
+  historyMaxAgeHours: 24,
+  historyMaxEntries: 50,
+  reportsMaxMegabytes: null,
+  processedSteamIdTtlDays: null,
+};
+
+let runtimeSettings = {
+  caseThreshold: CASE_PERCENTAGE_THRESHOLD_DEFAULT,
+  webhookUrl: '',
+  itemCategories: DEFAULT_ITEM_CATEGORIES,
+  filterCategory: DEFAULT_FILTER_CATEGORY,
+  highValueTiers: DEFAULT_HIGH_VALUE_TIERS,
+  retention: DEFAULT_RETENTION_POLICY,
+  presets: [],
+  webhookSubscriptions: [],
+  webhookSecret: '',
+};
 
 async function loadPanelSettings() {
   try {
@@ -62,18 +96,338 @@ async function savePanelSettings() {
   await fs.writeFile(SETTINGS_FILE, JSON.stringify(runtimeSettings, null, 2), 'utf-8');
 }
 
+function describeRuntimeSettings() {
+  // O segredo de assinatura dos webhooks nunca volta para o navegador.
+  const { webhookSecret, ...visible } = runtimeSettings;
+  return { ...visible, webhookSecretConfigured: Boolean(webhookSecret || process.env.WEBHOOK_SIGNING_SECRET) };
+}
+
 function getCaseThreshold() {
   const v = Number(runtimeSettings.caseThreshold);
   return Number.isFinite(v) && v >= 0 && v <= 100 ? v : CASE_PERCENTAGE_THRESHOLD_DEFAULT;
 }
 
+// Cada alteração feita pelo painel vira uma linha JSON em settings_audit.jsonl (quem, quando, o quê).
+const SETTINGS_AUDIT_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'settings_audit.jsonl');
+const SETTINGS_AUDIT_DEFAULT_LIMIT = 50;
+const SETTINGS_AUDIT_MAX_LIMIT = 500;
+
+// Uma senha repetida (ou igual à PANEL_PASSWORD) não identifica ninguém: é descartada com aviso.
+function parsePanelOperators(value) {
+  const operators = new Map();
+  const ambiguous = new Set();
+  for (const pair of String(value || '').split(',')) {
+    const separator = pair.indexOf(':');
+    const name = pair.slice(0, separator).trim();
+    const password = pair.slice(separator + 1).trim();
+    if (separator <= 0 || !name || !password) {
+      continue;
+    }
+    if (operators.has(password) || password === PANEL_PASSWORD) {
+      ambiguous.add(password);
+      continue;
+    }
+    operators.set(password, name.slice(0, 60));
+  }
+  for (const password of ambiguous) {
+    const names = operators.get(password);
+    operators.delete(password);
+    console.warn(`\n⚠️  PANEL_OPERATORS: senha repetida ou igual à PANEL_PASSWORD${names ? ` (${names})` : ''}; entrada ignorada.`);
+  }
+  return operators;
+}
+
+function isPanelPasswordValid(password) {
+  if (typeof password !== 'string' || !password) {
+    return false;
+  }
+  return (Boolean(PANEL_PASSWORD) && password === PANEL_PASSWORD) || PANEL_OPERATORS.has(password);
+}
+
+// Com senha individual (PANEL_OPERATORS) o nome vem do servidor; com a senha compartilhada, o nome
+// enviado em x-panel-operator é só o que o navegador declarou e fica marcado como não verificado.
+function resolvePanelOperator(req) {
+  const verifiedName = PANEL_OPERATORS.get(req.headers['x-panel-password'] || '');
+  if (verifiedName) {
+    return { name: verifiedName, verified: true };
+  }
+  const raw = String(req.headers['x-panel-operator'] || '').trim().replace(/[\r\n]+/g, ' ');
+  return { name: raw ? raw.slice(0, 60) : 'desconhecido', verified: false };
+}
+
+function describePanelOperator(operator) {
+  return operator.verified ? operator.name : `${operator.name} (autodeclarado)`;
+}
+
+function diffSettings(before, after, fields) {
+  return fields
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map((field) => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+}
+
+// URLs de webhook carregam o token no caminho ou na query (Discord, Telegram): a auditoria guarda só a origem.
+const AUDIT_URL_FIELDS = new Set(['webhookUrl', 'url']);
+
+function maskWebhookUrl(value) {
+  if (typeof value !== 'string' || !value) {
+    return value ?? null;
+  }
+  try {
+    const url = new URL(value);
+    return url.pathname === '/' && !url.search ? url.origin : `${url.origin}/***`;
+  } catch {
+    return '***';
+  }
+}
+
+function maskAuditChange(change) {
+  if (!AUDIT_URL_FIELDS.has(change?.field)) {
+    return change;
+  }
+  return { ...change, from: maskWebhookUrl(change.from), to: maskWebhookUrl(change.to) };
+}
+
+async function recordSettingsAudit(req, action, rawChanges, target = null) {
+  if (!rawChanges.length) {
+    return;
+  }
+  const changes = rawChanges.map(maskAuditChange);
+  const operator = resolvePanelOperator(req);
+  const entry = {
+    at: new Date().toISOString(),
+    operator: operator.name,
+    operatorVerified: operator.verified,
+    ip: req.ip || null,
+    action,
+    target,
+    changes,
+  };
+  const fields = changes.map((change) => change.field).join(', ');
+  console.log(`[configurações] ${describePanelOperator(operator)} (${entry.ip || 'ip desconhecido'}) ${action}${target ? ` ${target}` : ''}: ${fields}`);
+  try {
+    await fs.appendFile(SETTINGS_AUDIT_FILE, `${JSON.stringify(entry)}\n`, 'utf-8');
+  } catch (error) {
+    console.warn('Não foi possível registrar a auditoria de configurações:', error);
+  }
+}
+
+async function readSettingsAudit(limit = SETTINGS_AUDIT_DEFAULT_LIMIT) {
+  let raw;
+  try {
+    raw = await fs.readFile(SETTINGS_AUDIT_FILE, 'utf-8');
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      // Entradas gravadas antes do mascaramento também saem sem o token.
+      entries.push({ ...entry, changes: Array.isArray(entry.changes) ? entry.changes.map(maskAuditChange) : entry.changes });
+    } catch {
+      // linha corrompida, ignora
+    }
+  }
+  return entries.slice(-limit).reverse();
+}
+
+// ----------------- Categorias de itens -----------------
+// Cada regra associa itens a uma categoria por tipo (itemtype), padrão de nome (regex, sem diferenciar
+// maiúsculas) ou tag. A primeira regra que casar vence; o restante cai em "Outros".
+// Os padrões vêm do painel e rodam contra cada item: são curtos, sem quantificadores aninhados
+// (backtracking catastrófico) e compilados uma única vez por alteração das configurações.
+const MAX_CATEGORY_PATTERN_LENGTH = 200;
+const NESTED_QUANTIFIER_PATTERN = /\((?:[^()\\]|\\.)*(?:[+*]|\{\d+,?\d*\})(?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,?\d*\})/;
+
+let itemCategoryCache = { source: null, categories: null, rules: null };
+
+function validateCategoryPattern(namePattern) {
+  if (namePattern.length > MAX_CATEGORY_PATTERN_LENGTH) {
+    return `no máximo ${MAX_CATEGORY_PATTERN_LENGTH} caracteres`;
+  }
+  if (NESTED_QUANTIFIER_PATTERN.test(namePattern)) {
+    return 'quantificadores aninhados não são permitidos';
+  }
+  try {
+    new RegExp(namePattern, 'i');
+  } catch {
+    return 'expressão regular inválida';
+  }
+  return null;
+}
+
+function validateItemCategories(value) {
+  if (!Array.isArray(value) || !value.length) {
+    return { error: 'Informe ao menos uma categoria de itens.' };
+  }
+
+  const seen = new Set();
+  const categories = [];
+  for (const [position, rule] of value.entries()) {
+    const id = String(rule?.id ?? '').trim().toLowerCase();
+    const label = String(rule?.label ?? '').trim() || id;
+    if (!/^[a-z0-9_-]{1,40}$/.test(id) || id === OTHER_ITEM_CATEGORY.id) {
+      return { error: `Categoria ${position + 1}: identificador inválido.` };
+    }
+    if (seen.has(id)) {
+      return { error: `Categoria ${id} duplicada.` };
+    }
+    seen.add(id);
+
+    const toList = (list) => (Array.isArray(list) ? list : String(list ?? '').split(','))
+      .map((entry) => String(entry ?? '').trim())
+      .filter(Boolean);
+    const types = toList(rule?.types);
+    const tags = toList(rule?.tags);
+    const namePattern = String(rule?.namePattern ?? '').trim();
+    const patternError = namePattern ? validateCategoryPattern(namePattern) : null;
+    if (patternError) {
+      return { error: `Categoria ${id}: padrão de nome inválido (${patternError}).` };
+    }
+    if (!types.length && !tags.length && !namePattern) {
+      return { error: `Categoria ${id}: informe tipo, padrão de nome ou tag.` };
+    }
+
+    categories.push({ id, label, types, namePattern, tags });
+  }
+
+  return { categories };
+}
+
+function loadItemCategoryCache() {
+  // Toda alteração troca runtimeSettings.itemCategories por um novo array, o que invalida o cache.
+  if (itemCategoryCache.source !== runtimeSettings.itemCategories) {
+    const { categories } = validateItemCategories(runtimeSettings.itemCategories);
+    const resolved = categories || DEFAULT_ITEM_CATEGORIES;
+    itemCategoryCache = {
+      source: runtimeSettings.itemCategories,
+      categories: resolved,
+      rules: compileItemCategoryRules(resolved),
+    };
+  }
+  return itemCategoryCache;
+}
+
+function getItemCategories() {
+  return loadItemCategoryCache().categories;
+}
+
+function getFilterCategory() {
+  const categories = [...getItemCategories(), OTHER_ITEM_CATEGORY];
+  return categories.find((category) => category.id === runtimeSettings.filterCategory)
+    || categories.find((category) => category.id === DEFAULT_FILTER_CATEGORY)
+    || categories[0];
+}
+
+function compileItemCategoryRules(categories) {
+  return categories.map((category) => ({
+    ...category,
+    typeSet: new Set(category.types.map((type) => type.toLowerCase())),
+    tagSet: new Set(category.tags.map((tag) => tag.toLowerCase())),
+    pattern: category.namePattern ? new RegExp(category.namePattern, 'i') : null,
+  }));
+}
+
+function matchItemCategory(item, rules) {
+  const type = String(item?.type ?? '').toLowerCase();
+  const name = String(item?.marketHashName ?? '');
+  const tags = Array.isArray(item?.tags) ? item.tags.map((tag) => String(tag).toLowerCase()) : [];
+  const rule = rules.find((candidate) => (
+    (type && candidate.typeSet.has(type))
+    || (candidate.pattern && candidate.pattern.test(name))
+    || tags.some((tag) => candidate.tagSet.has(tag))
+  ));
+  return rule ? rule.id : OTHER_ITEM_CATEGORY.id;
+}
+
+function categorizeInventoryItems(items, totalValue) {
+  const { categories, rules } = loadItemCategoryCache();
+  const summary = {};
+  for (const category of [...categories, OTHER_ITEM_CATEGORY]) {
+    summary[category.id] = { label: category.label, value: 0, count: 0, percentage: 0 };
+  }
+
+  for (const item of items) {
+    const categoryId = matchItemCategory(item, rules);
+    item.category = categoryId;
+    const price = typeof item.totalPrice === 'number' ? item.totalPrice : null;
+    if (price === null) {
+      continue;
+    }
+    summary[categoryId].value += price;
+    summary[categoryId].count += item.quantity || 1;
+  }
+
+  for (const entry of Object.values(summary)) {
+    entry.percentage = totalValue > 0 ? (entry.value / totalValue) * 100 : 0;
+  }
+  return summary;
+}
+
+// ----------------- Faixas de alto valor -----------------
+// Faixas em BRL (comparadas com totalValueBRL), em ordem crescente. O perfil fica com a maior faixa
+// atingida; cada faixa tem rótulo próprio no webhook e destaque próprio no relatório.
+function validateHighValueTiers(value) {
+  let tiers = value;
+  if (typeof value === 'string') {
+    try {
+      tiers = JSON.parse(value);
+    } catch {
+      return { error: 'Faixas de alto valor inválidas: envie uma lista JSON.' };
+    }
+  }
+  if (!Array.isArray(tiers) || !tiers.length) {
+    return { error: 'Informe ao menos uma faixa de alto valor.' };
+  }
+
+  const seen = new Set();
+  const normalized = [];
+  for (const [position, tier] of tiers.entries()) {
+    const id = String(tier?.id ?? '').trim().toLowerCase();
+    if (!/^[a-z0-9_-]{1,40}$/.test(id)) {
+      return { error: `Faixa ${position + 1}: identificador inválido.` };
+    }
+    if (seen.has(id)) {
+      return { error: `Faixa ${id} duplicada.` };
+    }
+    seen.add(id);
+    const minValueBRL = Number(tier?.minValueBRL);
+    if (!Number.isFinite(minValueBRL) || minValueBRL <= 0) {
+      return { error: `Faixa ${id}: minValueBRL deve ser maior que zero.` };
+    }
+    normalized.push({ id, label: String(tier?.label ?? '').trim() || id, minValueBRL });
+  }
+
+  normalized.sort((a, b) => a.minValueBRL - b.minValueBRL);
+  return { tiers: normalized };
+}
+
+function getHighValueTiers(job = null) {
+  if (Array.isArray(job?.highValueTiers) && job.highValueTiers.length) {
+    return job.highValueTiers;
+  }
+  const { tiers } = validateHighValueTiers(runtimeSettings.highValueTiers);
+  return tiers || DEFAULT_HIGH_VALUE_TIERS;
+}
+
+function resolveHighValueTier(tiers, valueBRL) {
+  let reached = null;
+  for (const tier of tiers) {
+    if (typeof valueBRL === 'number' && valueBRL >= tier.minValueBRL) {
+      reached = tier;
+    }
+  }
+  return reached;
+}
+
 loadPanelSettings().catch(console.warn);
 
 // ----------------- Auth -----------------
 function authMiddleware(req, res, next) {
-  if (!PANEL_PASSWORD) return next();
+  if (!PANEL_PASSWORD && !PANEL_OPERATORS.size) return next();
   const header = req.headers['x-panel-password'] || '';
-  if (header !== PANEL_PASSWORD) {
+  if (!isPanelPasswordValid(header)) {
     return res.status(401).json({ error: 'Senha incorreta.' });
   }
   next();
@@ -91,14 +445,19 @@ app.use(express.static(DIST_DIR));
 
 const jobs = new Map();
 
-const HISTORY_RETENTION_MS = 24 * 60 * 60 * 1000;
-const MAX_HISTORY_ENTRIES = 50;
 const PROCESS_DELAY_MS = 1000;
+const MAX_JOB_CONCURRENCY = 10;
+const DEFAULT_JOB_CONCURRENCY = resolveJobConcurrency(process.env.PROCESS_CONCURRENCY, 3);
 const MAX_STEAM_IDS_PER_JOB = 25000;
 const MAX_STEAM_IDS_LABEL = new Intl.NumberFormat('pt-BR').format(MAX_STEAM_IDS_PER_JOB);
 const MAX_PROCESSED_STEAM_IDS = 50000;
 const DEFAULT_PROCESSED_HISTORY_LIMIT = 50;
 const MAX_PROCESSED_HISTORY_LIMIT = 500;
+const JOB_PERSIST_DEBOUNCE_MS = 2000;
+const DEFAULT_RETRY_COOLDOWN_MS = readIntervalFromEnv('RETRY_FAILED_COOLDOWN_MS', 60 * 1000);
+const MAX_RETRY_COOLDOWN_MS = 60 * 60 * 1000;
+const MAX_AUTO_RETRY_PASSES = 2;
+const FAILED_PROFILE_STATUSES = new Set(['steam_error', 'inventory_error', 'montuga_error']);
 
 function sanitizeSteamId(value) {
   if (value === undefined || value === null) {
@@ -115,8 +474,32 @@ function sanitizeSteamId(value) {
   return digitsOnly;
 }
 
+function parseBooleanFlag(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  return ['1', 'true', 'on', 'yes', 'sim'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+function resolveRetryCooldownMs(seconds, fallback = DEFAULT_RETRY_COOLDOWN_MS) {
+  const parsed = Number(seconds);
+  if (seconds === undefined || seconds === null || seconds === '' || !Number.isFinite(parsed) || parsed < 0) {
+    return fallback;
+  }
+  return Math.min(Math.round(parsed * 1000), MAX_RETRY_COOLDOWN_MS);
+}
+
+function resolveJobConcurrency(value, fallback = 1) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 1) {
+    return fallback;
+  }
+  return Math.min(parsed, MAX_JOB_CONCURRENCY);
+}
+
 const STEAM_LEVEL_CHUNK_SIZE = 20;
 const PLAYER_SUMMARIES_CHUNK_SIZE = 100;
+const PLAYER_BANS_CHUNK_SIZE = 100;
 const PERSONA_STATE_LABELS = {
   0: 'Offline',
   1: 'Online',
@@ -129,98 +512,549 @@ const PERSONA_STATE_LABELS = {
 
 const steamLevelCache = new Map();
 
-function describePersonaState(summary) {
-  if (!summary || typeof summary !== 'object') {
-    return { code: null, label: 'Desconhecido', inGame: false, game: null };
+// ----------------- Cliente HTTP das APIs externas -----------------
+// Todas as chamadas a Steam, SteamWebAPI e Montuga passam por upstreamFetch: token bucket por host
+// (compartilhado entre workers e jobs), backoff exponencial com jitter, respeito ao Retry-After e
+// circuit breaker exposto em /health.
+function readIntervalFromEnv(name, fallback) {
+  const parsed = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+const UPSTREAM_MAX_RETRIES = 3;
+const UPSTREAM_BACKOFF_BASE_MS = 500;
+const UPSTREAM_BACKOFF_MAX_MS = 15000;
+const UPSTREAM_MAX_RETRY_AFTER_MS = 60000;
+const UPSTREAM_BUCKET_CAPACITY = 5;
+const UPSTREAM_CIRCUIT_FAILURE_THRESHOLD = 5;
+const UPSTREAM_CIRCUIT_COOLDOWN_MS = 30000;
+
+const UPSTREAM_HOSTS = {
+  'api.steampowered.com': {
+    label: 'Steam Web API',
+    minIntervalMs: readIntervalFromEnv('STEAM_API_MIN_INTERVAL_MS', 200),
+  },
+  'www.steamwebapi.com': {
+    label: 'SteamWebAPI',
+    minIntervalMs: readIntervalFromEnv('STEAMWEBAPI_MIN_INTERVAL_MS', 500),
+  },
+  'montuga.com': {
+    label: 'Montuga API',
+    minIntervalMs: readIntervalFromEnv('MONTUGA_MIN_INTERVAL_MS', 500),
+  },
+};
+
+const upstreamStates = new Map();
+
+function isCircuitOpenError(error) {
+  return error?.code === 'UPSTREAM_CIRCUIT_OPEN';
+}
+
+function createCircuitOpenError(state, retryAt) {
+  const error = new Error(`${state.label} indisponível (circuito aberto até ${new Date(retryAt).toISOString()}).`);
+  error.code = 'UPSTREAM_CIRCUIT_OPEN';
+  error.host = state.host;
+  error.retryAt = retryAt;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, Math.max(ms, 0)));
+}
+
+function getUpstreamState(host) {
+  let state = upstreamStates.get(host);
+  if (state) {
+    return state;
   }
 
-  const personaState = Number(summary.personastate);
-  const hasPersonaState = Number.isFinite(personaState);
-  const inGame = Boolean(summary.gameid || summary.gameextrainfo);
-  const game = typeof summary.gameextrainfo === 'string' && summary.gameextrainfo.trim()
-    ? summary.gameextrainfo.trim()
-    : null;
+  const config = UPSTREAM_HOSTS[host] || { label: host, minIntervalMs: 0 };
+  const baseRefillPerMs = config.minIntervalMs > 0 ? 1 / config.minIntervalMs : Infinity;
+  state = {
+    host,
+    label: config.label,
+    capacity: UPSTREAM_BUCKET_CAPACITY,
+    tokens: UPSTREAM_BUCKET_CAPACITY,
+    baseRefillPerMs,
+    refillPerMs: baseRefillPerMs,
+    lastRefillAt: Date.now(),
+    throttledUntil: 0,
+    circuit: 'closed',
+    circuitOpenedAt: null,
+    halfOpenProbe: false,
+    consecutiveFailures: 0,
+    lastError: null,
+    stats: { requests: 0, throttled: 0, retries: 0, failures: 0 },
+    waitQueue: Promise.resolve(),
+  };
+  upstreamStates.set(host, state);
+  return state;
+}
 
-  if (!hasPersonaState) {
-    return { code: null, label: inGame && game ? `Jogando ${game}` : 'Desconhecido', inGame, game };
+function refillUpstreamTokens(state, now = Date.now()) {
+  if (state.refillPerMs === Infinity) {
+    state.tokens = state.capacity;
+  } else {
+    state.tokens = Math.min(state.capacity, state.tokens + (now - state.lastRefillAt) * state.refillPerMs);
   }
+  state.lastRefillAt = now;
+}
 
-  if (inGame && game) {
-    return { code: personaState, label: `Jogando ${game}`, inGame: true, game };
+function acquireUpstreamToken(state) {
+  // A fila por host mantém a ordem de chegada entre os workers.
+  const task = state.waitQueue.then(async () => {
+    for (;;) {
+      const now = Date.now();
+      if (state.throttledUntil > now) {
+        await sleep(state.throttledUntil - now);
+        continue;
+      }
+      refillUpstreamTokens(state, now);
+      if (state.tokens >= 1) {
+        state.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil((1 - state.tokens) / state.refillPerMs));
+    }
+  });
+  state.waitQueue = task.catch(() => {});
+  return task;
+}
+
+function parseRetryAfterMs(response) {
+  const header = response?.headers?.get?.('retry-after');
+  if (!header) {
+    return null;
+  }
+  const seconds = Number(header);
+  const delay = Number.isFinite(seconds) ? seconds * 1000 : new Date(header).getTime() - Date.now();
+  if (!Number.isFinite(delay) || delay < 0) {
+    return null;
   }
+  return Math.min(delay, UPSTREAM_MAX_RETRY_AFTER_MS);
+}
 
-  const label = PERSONA_STATE_LABELS[personaState] || 'Online';
-  return { code: personaState, label, inGame, game };
+function computeBackoffMs(attempt) {
+  const ceiling = Math.min(UPSTREAM_BACKOFF_BASE_MS * 2 ** attempt, UPSTREAM_BACKOFF_MAX_MS);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
 }
 
-async function fetchPlayerSummaries(steamIds = []) {
-  const sanitized = steamIds.map((value) => sanitizeSteamId(value)).filter(Boolean);
-  if (!sanitized.length) {
-    return new Map();
+// Devolve true quando a chamada ficou com a sonda do estado half_open: só ela consulta o host até o
+// circuito fechar ou abrir de novo; as demais recebem o erro de circuito aberto.
+function checkUpstreamCircuit(state) {
+  if (state.circuit === 'closed') {
+    return false;
   }
+  if (state.halfOpenProbe) {
+    throw createCircuitOpenError(state, Date.now() + UPSTREAM_BACKOFF_BASE_MS);
+  }
+  const retryAt = state.circuitOpenedAt + UPSTREAM_CIRCUIT_COOLDOWN_MS;
+  if (state.circuit === 'open' && Date.now() < retryAt) {
+    throw createCircuitOpenError(state, retryAt);
+  }
+  state.circuit = 'half_open';
+  state.halfOpenProbe = true;
+  return true;
+}
 
-  const uniqueIds = Array.from(new Set(sanitized));
-  const summaries = new Map();
+function recordUpstreamSuccess(state) {
+  state.consecutiveFailures = 0;
+  state.lastError = null;
+  state.halfOpenProbe = false;
+  if (state.circuit !== 'closed') {
+    console.log(`🔌 Circuito fechado novamente para ${state.label}.`);
+  }
+  state.circuit = 'closed';
+  state.circuitOpenedAt = null;
+  // Recupera gradualmente a vazão reduzida por respostas 429.
+  state.refillPerMs = Math.min(state.baseRefillPerMs, state.refillPerMs * 1.1);
+}
 
-  for (let index = 0; index < uniqueIds.length; index += PLAYER_SUMMARIES_CHUNK_SIZE) {
-    const chunk = uniqueIds.slice(index, index + PLAYER_SUMMARIES_CHUNK_SIZE);
-    const params = new URLSearchParams({
-      key: STEAM_API_KEY,
-      steamids: chunk.join(','),
-    });
+function recordUpstreamFailure(state, message) {
+  state.consecutiveFailures += 1;
+  state.stats.failures += 1;
+  state.lastError = { message, at: new Date().toISOString() };
+  state.halfOpenProbe = false;
+  if (state.circuit === 'half_open' || state.consecutiveFailures >= UPSTREAM_CIRCUIT_FAILURE_THRESHOLD) {
+    if (state.circuit !== 'open') {
+      console.warn(`🔌 Circuito aberto para ${state.label} após ${state.consecutiveFailures} falhas consecutivas.`);
+    }
+    state.circuit = 'open';
+    state.circuitOpenedAt = Date.now();
+  }
+}
 
-    try {
-      const response = await fetch(`${STEAM_API_BASE_URL}ISteamUser/GetPlayerSummaries/v2/?${params.toString()}`);
-      const payload = await response.json().catch(() => ({}));
+function recordUpstreamThrottle(state, retryAfterMs) {
+  state.stats.throttled += 1;
+  if (Number.isFinite(state.refillPerMs)) {
+    state.refillPerMs = Math.max(state.baseRefillPerMs / 8, state.refillPerMs / 2);
+  }
+  if (retryAfterMs !== null) {
+    state.throttledUntil = Math.max(state.throttledUntil, Date.now() + retryAfterMs);
+  }
+}
 
-      if (!response.ok) {
-        const message = payload?.error?.message || payload?.message || `Falha ao recuperar resumos de perfis (HTTP ${response.status}).`;
-        console.warn(message);
+// Cada chamada conta no máximo uma falha para o circuito, e só depois de esgotar as tentativas.
+async function upstreamFetch(url, init = {}, { retries = UPSTREAM_MAX_RETRIES } = {}) {
+  const state = getUpstreamState(new URL(url).host);
+  let ownsProbe = false;
+
+  try {
+    for (let attempt = 0; ; attempt += 1) {
+      if (!ownsProbe) {
+        ownsProbe = checkUpstreamCircuit(state);
+      }
+      await acquireUpstreamToken(state);
+      state.stats.requests += 1;
+
+      let response;
+      try {
+        response = await fetch(url, init);
+      } catch (error) {
+        if (attempt >= retries) {
+          recordUpstreamFailure(state, error.message);
+          throw error;
+        }
+        state.stats.retries += 1;
+        await sleep(computeBackoffMs(attempt));
         continue;
       }
 
-      const players = Array.isArray(payload?.response?.players) ? payload.response.players : [];
-      for (const player of players) {
-        const id = sanitizeSteamId(player?.steamid);
-        if (id) {
-          summaries.set(id, player);
+      const retryable = response.status === 429 || response.status >= 500;
+      if (!retryable) {
+        recordUpstreamSuccess(state);
+        return response;
+      }
+
+      const retryAfterMs = parseRetryAfterMs(response);
+      if (response.status === 429) {
+        recordUpstreamThrottle(state, retryAfterMs);
+      }
+
+      if (attempt >= retries) {
+        if (response.status !== 429) {
+          recordUpstreamFailure(state, `HTTP ${response.status}`);
         }
+        return response;
       }
-    } catch (error) {
-      console.warn('Não foi possível carregar resumos de amigos da Steam.', error);
+      state.stats.retries += 1;
+      await response.body?.cancel?.().catch(() => {});
+      await sleep(retryAfterMs ?? computeBackoffMs(attempt));
+    }
+  } finally {
+    // Uma sonda encerrada sem veredito (429 até o fim) libera a vaga para a próxima chamada.
+    if (ownsProbe) {
+      state.halfOpenProbe = false;
     }
   }
+}
 
-  return summaries;
+// ----------------- Câmbio -----------------
+// Cotações relativas ao USD. A fonte remota (EXCHANGE_RATES_URL) é consultada uma vez por dia; sem
+// rede, vale o arquivo local exchange_rates.json e, por último, USD_TO_BRL_RATE.
+const EXCHANGE_RATES_FILE = path.join(ROOT_DIR, 'exchange_rates.json');
+const EXCHANGE_RATES_URL = (process.env.EXCHANGE_RATES_URL || '').trim();
+const EXCHANGE_RATES_REFRESH_MS = 24 * 60 * 60 * 1000;
+const BASE_CURRENCY = 'BRL';
+const DEFAULT_CURRENCY = normalizeCurrencyCode(process.env.DEFAULT_CURRENCY) || BASE_CURRENCY;
+
+let exchangeRates = {
+  base: 'USD',
+  rates: { USD: 1, BRL: USD_TO_BRL_RATE },
+  source: 'padrão',
+  updatedAt: null,
+};
+
+function normalizeCurrencyCode(value) {
+  const code = String(value ?? '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
 }
 
-async function fetchSteamLevelWithCache(steamId) {
-  if (steamLevelCache.has(steamId)) {
-    return steamLevelCache.get(steamId);
+function normalizeExchangeRates(payload, source) {
+  const base = normalizeCurrencyCode(payload?.base || payload?.base_code) || 'USD';
+  const rawRates = payload?.rates || payload?.conversion_rates;
+  if (!rawRates || typeof rawRates !== 'object') {
+    return null;
   }
 
-  const params = new URLSearchParams({
-    key: STEAM_API_KEY,
-    steamid: steamId,
-  });
+  const rates = {};
+  for (const [code, value] of Object.entries(rawRates)) {
+    const normalizedCode = normalizeCurrencyCode(code);
+    const rate = Number(value);
+    if (normalizedCode && Number.isFinite(rate) && rate > 0) {
+      rates[normalizedCode] = rate;
+    }
+  }
+  if (!rates[base]) {
+    rates[base] = 1;
+  }
+  if (!rates.USD || !rates.BRL) {
+    return null;
+  }
 
-  let level = null;
-  try {
-    const response = await fetch(`${STEAM_API_BASE_URL}IPlayerService/GetSteamLevel/v1/?${params.toString()}`);
-    const payload = await response.json().catch(() => ({}));
+  // Reancora tudo em USD para que convertCurrency trabalhe sempre com a mesma base.
+  const usdRate = rates.USD;
+  const rebased = {};
+  for (const [code, rate] of Object.entries(rates)) {
+    rebased[code] = rate / usdRate;
+  }
 
-    if (!response.ok) {
-      const message = payload?.error?.message || payload?.message || `Falha ao recuperar nível Steam (HTTP ${response.status}).`;
-      console.warn(message);
-    } else if (payload?.response && typeof payload.response.player_level === 'number') {
-      level = payload.response.player_level;
+  const updatedCandidate = payload?.updatedAt || payload?.time_last_update_utc || payload?.date;
+  const updatedAt = updatedCandidate && !Number.isNaN(new Date(updatedCandidate).getTime())
+    ? new Date(updatedCandidate).toISOString()
+    : new Date().toISOString();
+
+  return { base: 'USD', rates: rebased, source, updatedAt };
+}
+
+async function loadExchangeRatesFile() {
+  try {
+    const raw = await fs.readFile(EXCHANGE_RATES_FILE, 'utf-8');
+    const normalized = normalizeExchangeRates(JSON.parse(raw), 'arquivo local');
+    if (normalized) {
+      exchangeRates = normalized;
+    } else {
+      console.warn('Arquivo de câmbio local ignorado: formato inválido.');
     }
   } catch (error) {
-    console.warn(`Não foi possível consultar o nível Steam para ${steamId}.`, error);
+    if (error.code !== 'ENOENT') {
+      console.warn('Não foi possível carregar o arquivo de câmbio local.', error);
+    }
   }
-
-  steamLevelCache.set(steamId, level);
-  return level;
+}
+
+async function refreshExchangeRates() {
+  if (!EXCHANGE_RATES_URL) {
+    return;
+  }
+  try {
+    const response = await upstreamFetch(EXCHANGE_RATES_URL);
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Fonte de câmbio retornou ${response.status}`);
+    }
+    const normalized = normalizeExchangeRates(payload, EXCHANGE_RATES_URL);
+    if (!normalized) {
+      throw new Error('Resposta da fonte de câmbio sem cotações de USD e BRL.');
+    }
+    exchangeRates = normalized;
+    console.log(`💱 Cotações atualizadas (1 USD = ${normalized.rates.BRL.toFixed(4)} BRL).`);
+  } catch (error) {
+    console.warn(`Não foi possível atualizar as cotações; mantendo ${exchangeRates.source}.`, error.message);
+  }
+}
+
+function isSupportedCurrency(code) {
+  const normalized = normalizeCurrencyCode(code);
+  return Boolean(normalized && exchangeRates.rates[normalized]);
+}
+
+function getExchangeRate(from, to) {
+  const fromRate = exchangeRates.rates[normalizeCurrencyCode(from)];
+  const toRate = exchangeRates.rates[normalizeCurrencyCode(to)];
+  if (!fromRate || !toRate) {
+    return null;
+  }
+  return toRate / fromRate;
+}
+
+function convertCurrency(value, from, to) {
+  const rate = getExchangeRate(from, to);
+  return rate === null || typeof value !== 'number' ? null : value * rate;
+}
+
+function formatMoney(value, currency = BASE_CURRENCY) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return '—';
+  }
+  try {
+    return new Intl.NumberFormat('pt-BR', { style: 'currency', currency }).format(value);
+  } catch {
+    return `${currency} ${value.toFixed(2)}`;
+  }
+}
+
+function describeExchangeRates() {
+  return {
+    base: exchangeRates.base,
+    source: exchangeRates.source,
+    updatedAt: exchangeRates.updatedAt,
+    currencies: Object.keys(exchangeRates.rates).sort(),
+    rates: { ...exchangeRates.rates },
+  };
+}
+
+// O /process e a restauração de jobs esperam o arquivo local para não validar moedas só com o fallback.
+const exchangeRatesFileLoaded = MIGRATE_HISTORY_ONLY ? Promise.resolve() : loadExchangeRatesFile();
+
+if (!MIGRATE_HISTORY_ONLY) {
+  exchangeRatesFileLoaded
+    .then(() => refreshExchangeRates())
+    .catch(console.warn);
+  setInterval(() => {
+    refreshExchangeRates().catch(console.warn);
+  }, EXCHANGE_RATES_REFRESH_MS).unref();
+}
+
+function describeUpstreamHealth() {
+  for (const host of Object.keys(UPSTREAM_HOSTS)) {
+    getUpstreamState(host);
+  }
+  return Array.from(upstreamStates.values()).map((state) => ({
+    host: state.host,
+    label: state.label,
+    circuit: state.circuit,
+    circuitRetryAt: state.circuit === 'open'
+      ? new Date(state.circuitOpenedAt + UPSTREAM_CIRCUIT_COOLDOWN_MS).toISOString()
+      : null,
+    consecutiveFailures: state.consecutiveFailures,
+    requestsPerSecond: Number.isFinite(state.refillPerMs) ? Number((state.refillPerMs * 1000).toFixed(2)) : null,
+    throttledUntil: state.throttledUntil > Date.now() ? new Date(state.throttledUntil).toISOString() : null,
+    lastError: state.lastError,
+    stats: { ...state.stats },
+  }));
+}
+
+function describePersonaState(summary) {
+  if (!summary || typeof summary !== 'object') {
+    return { code: null, label: 'Desconhecido', inGame: false, game: null };
+  }
+
+  const personaState = Number(summary.personastate);
+  const hasPersonaState = Number.isFinite(personaState);
+  const inGame = Boolean(summary.gameid || summary.gameextrainfo);
+  const game = typeof summary.gameextrainfo === 'string' && summary.gameextrainfo.trim()
+    ? summary.gameextrainfo.trim()
+    : null;
+
+  if (!hasPersonaState) {
+    return { code: null, label: inGame && game ? `Jogando ${game}` : 'Desconhecido', inGame, game };
+  }
+
+  if (inGame && game) {
+    return { code: personaState, label: `Jogando ${game}`, inGame: true, game };
+  }
+
+  const label = PERSONA_STATE_LABELS[personaState] || 'Online';
+  return { code: personaState, label, inGame, game };
+}
+
+async function fetchPlayerSummaries(steamIds = []) {
+  const sanitized = steamIds.map((value) => sanitizeSteamId(value)).filter(Boolean);
+  if (!sanitized.length) {
+    return new Map();
+  }
+
+  const uniqueIds = Array.from(new Set(sanitized));
+  const summaries = new Map();
+
+  for (let index = 0; index < uniqueIds.length; index += PLAYER_SUMMARIES_CHUNK_SIZE) {
+    const chunk = uniqueIds.slice(index, index + PLAYER_SUMMARIES_CHUNK_SIZE);
+    const params = new URLSearchParams({
+      key: STEAM_API_KEY,
+      steamids: chunk.join(','),
+    });
+
+    try {
+      const response = await upstreamFetch(`${STEAM_API_BASE_URL}ISteamUser/GetPlayerSummaries/v2/?${params.toString()}`);
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        const message = payload?.error?.message || payload?.message || `Falha ao recuperar resumos de perfis (HTTP ${response.status}).`;
+        console.warn(message);
+        continue;
+      }
+
+      // IDs consultadas com sucesso mas ausentes na resposta ficam registradas como null.
+      for (const id of chunk) {
+        summaries.set(id, null);
+      }
+      const players = Array.isArray(payload?.response?.players) ? payload.response.players : [];
+      for (const player of players) {
+        const id = sanitizeSteamId(player?.steamid);
+        if (id) {
+          summaries.set(id, player);
+        }
+      }
+    } catch (error) {
+      console.warn('Não foi possível carregar resumos de amigos da Steam.', error);
+    }
+  }
+
+  return summaries;
+}
+
+async function fetchPlayerBans(steamIds = []) {
+  const sanitized = steamIds.map((value) => sanitizeSteamId(value)).filter(Boolean);
+  if (!sanitized.length) {
+    return new Map();
+  }
+
+  const uniqueIds = Array.from(new Set(sanitized));
+  const bans = new Map();
+
+  for (let index = 0; index < uniqueIds.length; index += PLAYER_BANS_CHUNK_SIZE) {
+    const chunk = uniqueIds.slice(index, index + PLAYER_BANS_CHUNK_SIZE);
+    const params = new URLSearchParams({
+      key: STEAM_API_KEY,
+      steamids: chunk.join(','),
+    });
+
+    try {
+      const response = await upstreamFetch(`${STEAM_API_BASE_URL}ISteamUser/GetPlayerBans/v1/?${params.toString()}`);
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        const message = payload?.error?.message || payload?.message || `Falha ao recuperar banimentos de perfis (HTTP ${response.status}).`;
+        console.warn(message);
+        continue;
+      }
+
+      for (const id of chunk) {
+        bans.set(id, null);
+      }
+      const players = Array.isArray(payload?.players) ? payload.players : [];
+      for (const player of players) {
+        const id = sanitizeSteamId(player?.SteamId);
+        if (id) {
+          bans.set(id, player);
+        }
+      }
+    } catch (error) {
+      console.warn('Não foi possível carregar banimentos da Steam.', error);
+    }
+  }
+
+  return bans;
+}
+
+async function fetchSteamLevelWithCache(steamId) {
+  if (steamLevelCache.has(steamId)) {
+    return steamLevelCache.get(steamId);
+  }
+
+  const params = new URLSearchParams({
+    key: STEAM_API_KEY,
+    steamid: steamId,
+  });
+
+  let level = null;
+  try {
+    const response = await upstreamFetch(`${STEAM_API_BASE_URL}IPlayerService/GetSteamLevel/v1/?${params.toString()}`);
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const message = payload?.error?.message || payload?.message || `Falha ao recuperar nível Steam (HTTP ${response.status}).`;
+      console.warn(message);
+    } else if (payload?.response && typeof payload.response.player_level === 'number') {
+      level = payload.response.player_level;
+    }
+  } catch (error) {
+    console.warn(`Não foi possível consultar o nível Steam para ${steamId}.`, error);
+  }
+
+  steamLevelCache.set(steamId, level);
+  return level;
 }
 
 async function fetchSteamLevels(steamIds = []) {
@@ -250,7 +1084,7 @@ async function fetchFriendsForSteamId(steamId) {
     relationship: 'friend',
   });
 
-  const response = await fetch(`${STEAM_API_BASE_URL}ISteamUser/GetFriendList/v1/?${params.toString()}`);
+  const response = await upstreamFetch(`${STEAM_API_BASE_URL}ISteamUser/GetFriendList/v1/?${params.toString()}`);
   const payload = await response.json().catch(() => ({}));
 
   if (!response.ok) {
@@ -275,669 +1109,1423 @@ async function fetchFriendsForSteamId(steamId) {
   };
 }
 
-// ----------------- Funções auxiliares -----------------
-function isValidWebhookUrl(url) {
-  try {
-    const u = new URL(url);
-    return u.protocol === 'https:' || u.protocol === 'http:';
-  } catch {
-    return false;
+// ----------------- Banco de dados local -----------------
+// SQLite embutido (better-sqlite3, API síncrona) para dados de longo prazo. O esquema evolui por
+// migrações numeradas: PRAGMA user_version guarda quantas já foram aplicadas.
+const DATABASE_FILE = process.env.DATABASE_FILE
+  ? path.resolve(ROOT_DIR, process.env.DATABASE_FILE)
+  : path.join(ROOT_DIR, 'data', 'artcases.db');
+
+const DATABASE_MIGRATIONS = [
+  (db) => db.exec(`
+    CREATE TABLE profile_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      steam_id TEXT NOT NULL,
+      job_id TEXT,
+      captured_at INTEGER NOT NULL,
+      status TEXT,
+      name TEXT,
+      steam_level INTEGER,
+      vac_banned INTEGER NOT NULL DEFAULT 0,
+      game_bans INTEGER NOT NULL DEFAULT 0,
+      persona_state INTEGER,
+      persona_state_label TEXT,
+      in_game INTEGER NOT NULL DEFAULT 0,
+      current_game TEXT,
+      total_value_brl REAL,
+      case_value_brl REAL,
+      high_value_tier TEXT
+    );
+    CREATE INDEX idx_profile_snapshots_steam_id ON profile_snapshots (steam_id, captured_at);
+  `),
+  (db) => db.exec(`
+    CREATE TABLE history_entries (
+      id TEXT PRIMARY KEY,
+      job_id TEXT NOT NULL,
+      generated_at INTEGER NOT NULL,
+      partial INTEGER NOT NULL DEFAULT 0,
+      report_path TEXT,
+      success_count INTEGER,
+      result_count INTEGER,
+      summary TEXT NOT NULL,
+      report_html TEXT,
+      results TEXT
+    );
+    CREATE INDEX idx_history_entries_generated_at ON history_entries (generated_at);
+    CREATE INDEX idx_history_entries_job_id ON history_entries (job_id, generated_at);
+    CREATE TABLE processed_steam_ids (
+      steam_id TEXT PRIMARY KEY,
+      processed_at INTEGER NOT NULL
+    );
+    CREATE INDEX idx_processed_steam_ids_processed_at ON processed_steam_ids (processed_at);
+  `),
+  (db) => db.exec(`
+    CREATE TABLE retention_sweeps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      started_at INTEGER NOT NULL,
+      finished_at INTEGER NOT NULL,
+      trigger TEXT NOT NULL,
+      policy TEXT NOT NULL,
+      summary TEXT NOT NULL
+    );
+  `),
+  (db) => db.exec(`
+    CREATE TABLE job_profile_items (
+      job_id TEXT NOT NULL,
+      steam_id TEXT NOT NULL,
+      items TEXT NOT NULL,
+      PRIMARY KEY (job_id, steam_id)
+    );
+  `),
+  (db) => db.exec('CREATE INDEX idx_profile_snapshots_job_id ON profile_snapshots (job_id, steam_id, id)'),
+];
+
+let database = null;
+
+function getDatabase() {
+  if (database) {
+    return database;
   }
+  mkdirSync(path.dirname(DATABASE_FILE), { recursive: true });
+  const db = new Database(DATABASE_FILE);
+  db.pragma('journal_mode = WAL');
+  const applied = db.pragma('user_version', { simple: true });
+  for (let version = applied; version < DATABASE_MIGRATIONS.length; version += 1) {
+    db.transaction(() => {
+      DATABASE_MIGRATIONS[version](db);
+      db.pragma(`user_version = ${version + 1}`);
+    })();
+    console.log(`🗄️  Banco de dados migrado para a versão ${version + 1}.`);
+  }
+  database = db;
+  return db;
 }
 
-function currentDateTimeLabel(date = new Date()) {
-  return new Date(date).toLocaleString('pt-BR', {
-    day: '2-digit', month: '2-digit', year: 'numeric',
-    hour: '2-digit', minute: '2-digit', second: '2-digit'
-  });
+// Listas de itens dos perfis de cada job. Só existem aqui: job.results guarda apenas itemCount, e as
+// linhas saem na varredura de retenção quando o job já não está em memória nem no histórico.
+function storeJobProfileItems(job, profiles) {
+  const withItems = profiles.filter((profile) => Array.isArray(profile.items));
+  if (!withItems.length) {
+    return;
+  }
+  const db = getDatabase();
+  const insert = db.prepare('INSERT OR REPLACE INTO job_profile_items (job_id, steam_id, items) VALUES (?, ?, ?)');
+  db.transaction(() => {
+    for (const profile of withItems) {
+      insert.run(job.id, profile.id, JSON.stringify(profile.items));
+    }
+  })();
 }
 
-function escapeHtml(value = '') {
-  return String(value)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
+function readJobProfileItems(jobId) {
+  const rows = getDatabase().prepare('SELECT steam_id, items FROM job_profile_items WHERE job_id = ?').all(jobId);
+  return new Map(rows.map((row) => [row.steam_id, JSON.parse(row.items)]));
 }
 
-function steamProfileUrl(steamId) {
-  if (!steamId) {
-    return 'https://steamcommunity.com';
-  }
-  const trimmed = String(steamId).trim();
-  return `https://steamcommunity.com/profiles/${encodeURIComponent(trimmed)}`;
+function readProfileItems(jobId, steamId) {
+  const row = getDatabase()
+    .prepare('SELECT items FROM job_profile_items WHERE job_id = ? AND steam_id = ?')
+    .get(jobId, steamId);
+  return row ? JSON.parse(row.items) : null;
 }
 
-function collectSteamIdCandidates(value) {
-  if (!value) {
-    return [];
-  }
-
-  if (Array.isArray(value)) {
-    return value;
-  }
+// ----------------- Histórico de perfis (snapshots) -----------------
+// Cada perfil processado vira uma linha com data: valor, nível, bans e status Steam daquele momento.
+// Diferente do history.json, nada aqui expira sozinho.
+const DEFAULT_PROFILE_HISTORY_LIMIT = 100;
+const MAX_PROFILE_HISTORY_LIMIT = 1000;
 
-  if (value instanceof Set) {
-    return Array.from(value);
-  }
+function toSnapshotNumber(value) {
+  const number = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(number) ? number : null;
+}
 
-  if (typeof value === 'string') {
-    return value.split(/[\s,;]+/).filter(Boolean);
+function recordProfileSnapshots(job, profiles) {
+  if (!profiles.length) {
+    return;
   }
+  const db = getDatabase();
+  const insert = db.prepare(`
+    INSERT INTO profile_snapshots (
+      steam_id, job_id, captured_at, status, name, steam_level, vac_banned, game_bans, persona_state,
+      persona_state_label, in_game, current_game, total_value_brl, case_value_brl, high_value_tier
+    ) VALUES (
+      @steamId, @jobId, @capturedAt, @status, @name, @steamLevel, @vacBanned, @gameBans, @personaState,
+      @personaStateLabel, @inGame, @currentGame, @totalValueBRL, @caseValueBRL, @highValueTier
+    )
+  `);
+  const capturedAt = Date.now();
+  db.transaction(() => {
+    for (const profile of profiles) {
+      insert.run({
+        steamId: profile.id,
+        jobId: job.id,
+        capturedAt,
+        status: profile.status || null,
+        name: profile.name && profile.name !== 'N/A' ? String(profile.name) : null,
+        steamLevel: toSnapshotNumber(profile.steamLevel),
+        vacBanned: profile.vacBanned ? 1 : 0,
+        gameBans: toSnapshotNumber(profile.gameBans) ?? 0,
+        personaState: toSnapshotNumber(profile.personaState),
+        personaStateLabel: profile.personaStateLabel || null,
+        inGame: profile.inGame ? 1 : 0,
+        currentGame: profile.currentGame || null,
+        totalValueBRL: toSnapshotNumber(profile.totalValueBRL),
+        caseValueBRL: toSnapshotNumber(profile.caseValueBRL),
+        highValueTier: profile.highValueTier || null,
+      });
+    }
+  })();
+}
 
-  return [];
+function readProfileHistory(steamId, { limit = DEFAULT_PROFILE_HISTORY_LIMIT, since = null } = {}) {
+  const rows = getDatabase()
+    .prepare(`
+      SELECT * FROM profile_snapshots
+      WHERE steam_id = ? AND captured_at >= ?
+      ORDER BY captured_at DESC, id DESC
+      LIMIT ?
+    `)
+    .all(steamId, since ?? 0, limit);
+
+  // A consulta pega os mais recentes; a linha do tempo sai em ordem cronológica.
+  return rows.reverse().map(mapProfileSnapshotRow);
 }
 
-function ensureHistoryShape(data) {
-  const fallback = { entries: [], processedSteamIds: [] };
+// Última captura de cada perfil de um job. Como os snapshots não expiram, servem de fonte para
+// comparar jobs que já saíram do histórico de relatórios.
+function readJobSnapshots(jobId) {
+  return getDatabase()
+    .prepare(`
+      SELECT * FROM profile_snapshots
+      WHERE id IN (SELECT MAX(id) FROM profile_snapshots WHERE job_id = ? GROUP BY steam_id)
+      ORDER BY id ASC
+    `)
+    .all(jobId)
+    .map((row) => ({ id: row.steam_id, ...mapProfileSnapshotRow(row) }));
+}
 
-  if (Array.isArray(data)) {
-    return { ...fallback, entries: data };
+// Reconstrói um job a partir de profile_snapshots quando o relatório já saiu do banco. Só os campos
+// guardados nos snapshots estão disponíveis (valores em BRL, status, nível, bans).
+function resolveSnapshotSource(jobId) {
+  const results = readJobSnapshots(jobId);
+  if (!results.length) {
+    return null;
   }
+  return {
+    job: { id: jobId, currency: BASE_CURRENCY },
+    results,
+    totals: buildTotals(results, results.length),
+    partial: false,
+    generatedAt: results[results.length - 1].capturedAt,
+    fromSnapshots: true,
+  };
+}
 
-  if (!data || typeof data !== 'object') {
-    return { ...fallback };
-  }
+function mapProfileSnapshotRow(row) {
+  return {
+    capturedAt: new Date(row.captured_at).toISOString(),
+    jobId: row.job_id,
+    status: row.status,
+    name: row.name,
+    steamLevel: row.steam_level,
+    vacBanned: Boolean(row.vac_banned),
+    gameBans: row.game_bans,
+    personaState: row.persona_state,
+    personaStateLabel: row.persona_state_label,
+    inGame: Boolean(row.in_game),
+    currentGame: row.current_game,
+    totalValueBRL: row.total_value_brl,
+    caseValueBRL: row.case_value_brl,
+    highValueTier: row.high_value_tier,
+  };
+}
 
-  const normalized = { ...data };
+// ----------------- Histórico de relatórios (banco de dados) -----------------
+// Substitui o history.json: cada relatório é uma linha (o HTML e os perfis ficam em colunas próprias,
+// lidas só quando alguém pede) e cada SteamID processada é uma linha em processed_steam_ids.
+// O que expira e quando é decidido pela política de retenção (seção Retenção); aqui as leituras só
+// escondem relatórios mais velhos que historyMaxAgeHours.
+const DEFAULT_HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 200;
+const PROCESSED_LOOKUP_CHUNK = 500;
+
+function historyCutoff(policy = getRetentionPolicy()) {
+  return Date.now() - policy.historyMaxAgeHours * 60 * 60 * 1000;
+}
 
-  if (Array.isArray(data.entries)) {
-    normalized.entries = data.entries;
-  } else if (Array.isArray(data.history)) {
-    normalized.entries = data.history;
-  } else if (!Array.isArray(normalized.entries)) {
-    normalized.entries = [];
-  }
+function readHistoryPagination(query, defaultLimit, maxLimit) {
+  const limitParam = Number.parseInt(query.limit, 10);
+  const offsetParam = Number.parseInt(query.offset, 10);
+  return {
+    limit: Math.min(Math.max(Number.isFinite(limitParam) && limitParam > 0 ? limitParam : defaultLimit, 1), maxLimit),
+    offset: Number.isFinite(offsetParam) && offsetParam > 0 ? offsetParam : 0,
+  };
+}
 
-  const processedCandidates = [
-    collectSteamIdCandidates(data.processedSteamIds),
-    collectSteamIdCandidates(data.processed),
-    collectSteamIdCandidates(data.ids),
-    collectSteamIdCandidates(data.processedIds),
-  ].flat();
+function insertHistoryEntryRow(db, entry) {
+  const { reportHtml, results, ...summary } = entry;
+  db.prepare(`
+    INSERT OR REPLACE INTO history_entries (
+      id, job_id, generated_at, partial, report_path, success_count, result_count, summary, report_html, results
+    ) VALUES (
+      @id, @jobId, @generatedAt, @partial, @reportPath, @successCount, @resultCount, @summary, @reportHtml, @results
+    )
+  `).run({
+    id: entry.id,
+    jobId: entry.jobId,
+    generatedAt: new Date(entry.generatedAt).getTime(),
+    partial: entry.partial ? 1 : 0,
+    reportPath: entry.reportPath,
+    successCount: entry.successCount,
+    resultCount: Array.isArray(results) ? results.length : null,
+    summary: JSON.stringify(summary),
+    reportHtml: reportHtml || null,
+    results: Array.isArray(results) ? JSON.stringify(results) : null,
+  });
+}
 
-  const unique = new Set();
-  for (const candidate of processedCandidates) {
-    const sanitized = sanitizeSteamId(candidate);
-    if (sanitized) {
-      unique.add(sanitized);
+// Gravações do processamento renovam processed_at: o TTL da retenção conta a partir da última consulta.
+function upsertProcessedSteamIdRows(db, ids, processedAt = Date.now()) {
+  const exists = db.prepare('SELECT 1 FROM processed_steam_ids WHERE steam_id = ?');
+  const upsert = db.prepare(`
+    INSERT INTO processed_steam_ids (steam_id, processed_at) VALUES (?, ?)
+    ON CONFLICT (steam_id) DO UPDATE SET processed_at = excluded.processed_at
+  `);
+  let inserted = 0;
+  for (const id of ids) {
+    if (!exists.get(id)) {
+      inserted += 1;
     }
+    upsert.run(id, processedAt);
   }
+  return inserted;
+}
 
-  let processedSteamIds = Array.from(unique);
-  if (processedSteamIds.length > MAX_PROCESSED_STEAM_IDS) {
-    processedSteamIds = processedSteamIds.slice(processedSteamIds.length - MAX_PROCESSED_STEAM_IDS);
+function insertProcessedSteamIdRows(db, ids, processedAt = Date.now()) {
+  // Na importação do history.json, INSERT OR IGNORE mantém a posição original de IDs já registradas.
+  const insert = db.prepare('INSERT OR IGNORE INTO processed_steam_ids (steam_id, processed_at) VALUES (?, ?)');
+  let inserted = 0;
+  for (const id of ids) {
+    inserted += insert.run(id, processedAt).changes;
   }
+  return inserted;
+}
 
-  normalized.processedSteamIds = processedSteamIds;
+// Teto fixo, independente da política: protege o banco mesmo com o TTL das SteamIDs desligado.
+// A contagem fica em memória (lida do banco uma vez) para o COUNT(*) não rodar a cada perfil gravado;
+// quem apaga linhas por outro caminho zera processedSteamIdCount para forçar uma nova leitura.
+let processedSteamIdCount = null;
 
-  return { ...fallback, ...normalized };
+function trimProcessedSteamIds(db, inserted) {
+  if (processedSteamIdCount === null) {
+    processedSteamIdCount = db.prepare('SELECT COUNT(*) AS total FROM processed_steam_ids').get().total;
+  } else {
+    processedSteamIdCount += inserted;
+  }
+  if (processedSteamIdCount <= MAX_PROCESSED_STEAM_IDS) {
+    return 0;
+  }
+  const removed = db.prepare(`
+    DELETE FROM processed_steam_ids
+    WHERE rowid IN (SELECT rowid FROM processed_steam_ids ORDER BY processed_at ASC, rowid ASC LIMIT ?)
+  `).run(processedSteamIdCount - MAX_PROCESSED_STEAM_IDS).changes;
+  processedSteamIdCount -= removed;
+  return removed;
 }
 
-function getPendingIds(job) {
-  if (!job) {
-    return [];
+function mapHistoryEntryRow(row, { includeHtml = false, includeResults = false } = {}) {
+  const entry = {
+    ...JSON.parse(row.summary),
+    id: row.id,
+    jobId: row.job_id,
+    generatedAt: new Date(row.generated_at).toISOString(),
+    partial: Boolean(row.partial),
+    reportPath: row.report_path,
+    successCount: row.success_count,
+    resultCount: row.result_count,
+  };
+  // Sem arquivo em reports/, o HTML guardado no banco é a única forma de abrir o relatório.
+  if (includeHtml || !row.report_path) {
+    entry.reportHtml = row.report_html || '';
   }
-  const queue = Array.isArray(job.queue) ? job.queue : [];
-  const index = Number.isInteger(job.currentIndex) ? job.currentIndex : 0;
-  return queue.slice(Math.max(index, 0));
+  if (includeResults) {
+    entry.results = row.results ? JSON.parse(row.results) : null;
+  }
+  return entry;
 }
 
-async function loadHistory() {
-  try {
-    const raw = await fs.readFile(HISTORY_FILE, 'utf-8');
-    const parsed = JSON.parse(raw);
-    return ensureHistoryShape(parsed);
-  } catch (error) {
-    if (error.code !== 'ENOENT') {
-      console.warn('Não foi possível carregar o histórico armazenado.', error);
-    }
-    return { entries: [], processedSteamIds: [] };
+async function appendHistoryEntry(entry) {
+  const normalizedEntry = normalizeHistoryEntry(entry);
+  if (!normalizedEntry) {
+    return;
   }
+
+  insertHistoryEntryRow(getDatabase(), normalizedEntry);
 }
 
-async function saveHistory(history) {
-  const serialized = JSON.stringify(history, null, 2);
+function listHistoryEntries({ limit = DEFAULT_HISTORY_PAGE_SIZE, offset = 0 } = {}) {
+  const db = getDatabase();
+  const cutoff = historyCutoff();
+  const { total } = db.prepare('SELECT COUNT(*) AS total FROM history_entries WHERE generated_at >= ?').get(cutoff);
+  const rows = db
+    .prepare(`
+      SELECT id, job_id, generated_at, partial, report_path, success_count, result_count, summary,
+        CASE WHEN report_path IS NULL THEN report_html END AS report_html
+      FROM history_entries
+      WHERE generated_at >= ?
+      ORDER BY generated_at DESC
+      LIMIT ? OFFSET ?
+    `)
+    .all(cutoff, limit, offset);
+  return { total, entries: rows.map((row) => mapHistoryEntryRow(row)) };
+}
 
-  if (existsSync(HISTORY_FILE)) {
-    const backupPath = `${HISTORY_FILE}.bak`;
-    try {
-      await fs.copyFile(HISTORY_FILE, backupPath);
-    } catch (error) {
-      console.warn('Não foi possível atualizar o backup do histórico.', error);
-    }
+function* iterateHistoryEntries() {
+  const statement = getDatabase().prepare(`
+    SELECT id, job_id, generated_at, partial, report_path, success_count, result_count, summary, report_html
+    FROM history_entries
+    WHERE generated_at >= ?
+    ORDER BY generated_at DESC
+  `);
+  for (const row of statement.iterate(historyCutoff())) {
+    yield mapHistoryEntryRow(row, { includeHtml: true });
   }
-
-  await fs.writeFile(HISTORY_FILE, serialized, 'utf-8');
 }
 
-function sanitizeReportSegment(value, fallback) {
-  const base = (value || fallback || '').toString();
-  const normalized = base.replace(/[^a-zA-Z0-9_-]/g, '_');
-  return normalized || fallback || 'relatorio';
+// withinWindow: false ignora a janela de historyMaxAgeHours e aceita qualquer relatório ainda retido.
+function findHistoryEntry({ entryId = null, jobId = null, requireResults = false, withinWindow = true } = {}) {
+  const row = getDatabase()
+    .prepare(`
+      SELECT * FROM history_entries
+      WHERE generated_at >= @cutoff
+        AND (@entryId IS NULL OR id = @entryId)
+        AND (@jobId IS NULL OR job_id = @jobId)
+        AND (@requireResults = 0 OR results IS NOT NULL)
+      ORDER BY generated_at DESC
+      LIMIT 1
+    `)
+    .get({ cutoff: withinWindow ? historyCutoff() : 0, entryId, jobId, requireResults: requireResults ? 1 : 0 });
+  return row ? mapHistoryEntryRow(row, { includeHtml: true, includeResults: true }) : null;
 }
 
-async function persistReportHtml(entry) {
-  if (!entry?.reportHtml) {
-    return null;
+async function appendProcessedSteamIds(ids = []) {
+  const sanitized = ids.map((value) => sanitizeSteamId(value)).filter(Boolean);
+  if (!sanitized.length) {
+    return;
   }
 
-  try {
-    await fs.mkdir(REPORTS_DIR, { recursive: true });
-  } catch (error) {
-    console.warn('Não foi possível preparar o diretório de relatórios.', error);
-    return null;
-  }
+  const db = getDatabase();
+  db.transaction(() => {
+    const inserted = upsertProcessedSteamIdRows(db, sanitized);
+    if (inserted) {
+      trimProcessedSteamIds(db, inserted);
+    }
+  })();
+}
 
-  const rawGeneratedAt = entry.generatedAt || new Date().toISOString();
-  let isoCandidate = '';
-  if (typeof rawGeneratedAt === 'string') {
-    isoCandidate = rawGeneratedAt;
-  } else {
-    try {
-      isoCandidate = new Date(rawGeneratedAt).toISOString();
-    } catch (error) {
-      console.warn('Não foi possível normalizar a data de geração do relatório.', error);
-      isoCandidate = new Date().toISOString();
+async function findProcessedSteamIds(ids = []) {
+  const db = getDatabase();
+  const found = new Set();
+  for (let start = 0; start < ids.length; start += PROCESSED_LOOKUP_CHUNK) {
+    const chunk = ids.slice(start, start + PROCESSED_LOOKUP_CHUNK);
+    const rows = db
+      .prepare(`SELECT steam_id FROM processed_steam_ids WHERE steam_id IN (${chunk.map(() => '?').join(', ')})`)
+      .all(...chunk);
+    for (const row of rows) {
+      found.add(row.steam_id);
     }
   }
-  const timestamp = sanitizeReportSegment(String(isoCandidate).replace(/[:.]/g, '-'), 'data');
-  const jobIdSegment = sanitizeReportSegment(entry.jobId, 'job');
-  const stageSegment = entry.partial ? 'parcial' : 'final';
-  const fileName = `${jobIdSegment}_${stageSegment}_${timestamp}.html`;
-  const filePath = path.join(REPORTS_DIR, fileName);
+  return found;
+}
+
+function listProcessedSteamIds({ limit, offset = 0 }) {
+  const db = getDatabase();
+  const { total } = db.prepare('SELECT COUNT(*) AS total FROM processed_steam_ids').get();
+  const steamIds = db
+    .prepare('SELECT steam_id FROM processed_steam_ids ORDER BY processed_at DESC, rowid DESC LIMIT ? OFFSET ?')
+    .all(limit, offset)
+    .map((row) => row.steam_id);
+  return { total, steamIds };
+}
 
+// Importa history.json (ou o .bak, se o principal estiver ilegível) para o banco. Depois da
+// importação o arquivo é renomeado para *.migrated, então a migração roda uma única vez.
+function readLegacyHistoryFile(file) {
   try {
-    await fs.writeFile(filePath, entry.reportHtml, 'utf-8');
+    return ensureHistoryShape(JSON.parse(readFileSync(file, 'utf-8')));
   } catch (error) {
-    console.warn('Não foi possível salvar o relatório HTML no disco.', error);
+    if (error.code !== 'ENOENT') {
+      console.warn(`Não foi possível ler ${path.basename(file)} para migração.`, error.message);
+    }
     return null;
   }
-
-  return path.relative(ROOT_DIR, filePath);
-}
-
-let historyUpdateQueue = Promise.resolve();
-
-function queueHistoryMutation(mutator) {
-  const task = historyUpdateQueue.then(async () => {
-    const current = await loadHistory();
-    const updated = await mutator(current);
-    if (updated) {
-      await saveHistory(updated);
-    }
-  });
-  historyUpdateQueue = task.catch(() => {});
-  return task;
 }
 
-function normalizeHistoryEntry(entry) {
-  if (!entry || typeof entry !== 'object') {
+function migrateLegacyHistory() {
+  const backupFile = `${HISTORY_FILE}.bak`;
+  const candidates = [HISTORY_FILE, backupFile].filter((file) => existsSync(file));
+  if (!candidates.length) {
     return null;
   }
 
-  const baseJobId = entry.jobId ? String(entry.jobId).trim() : 'desconhecido';
-  let generatedAtIso = new Date().toISOString();
-  if (entry.generatedAt) {
-    const candidate = new Date(entry.generatedAt);
-    if (!Number.isNaN(candidate.getTime())) {
-      generatedAtIso = candidate.toISOString();
+  let source = null;
+  let history = null;
+  for (const file of candidates) {
+    history = readLegacyHistoryFile(file);
+    if (history) {
+      source = file;
+      break;
     }
   }
+  if (!history) {
+    return null;
+  }
 
-  const normalized = {
-    ...entry,
-    jobId: baseJobId,
-    generatedAt: generatedAtIso,
-    partial: Boolean(entry.partial),
-    reportPath:
-      typeof entry.reportPath === 'string' && entry.reportPath.trim()
-        ? entry.reportPath.trim().replace(/\\+/g, '/').replace(/^\/+/, '')
-        : null,
-  };
-
-  normalized.reportHtml = typeof normalized.reportHtml === 'string' ? normalized.reportHtml : '';
-  normalized.successCount =
-    typeof normalized.successCount === 'number' && Number.isFinite(normalized.successCount)
-      ? normalized.successCount
-      : null;
-  normalized.id = entry.id || `${normalized.jobId}-${generatedAtIso}`;
+  const db = getDatabase();
+  const summary = { source: path.basename(source), entries: 0, processedSteamIds: 0 };
+  db.transaction(() => {
+    for (const item of history.entries) {
+      const entry = normalizeHistoryEntry(item);
+      if (entry) {
+        insertHistoryEntryRow(db, entry);
+        summary.entries += 1;
+      }
+    }
+    // processed_at crescente preserva a ordem do array (mais antigas primeiro).
+    const baseTime = Date.now() - history.processedSteamIds.length;
+    history.processedSteamIds.forEach((id, index) => {
+      summary.processedSteamIds += insertProcessedSteamIdRows(db, [id], baseTime + index);
+    });
+    processedSteamIdCount = null;
+    trimProcessedSteamIds(db, 0);
+  })();
 
-  return normalized;
+  for (const file of candidates) {
+    renameSync(file, `${file}.migrated`);
+  }
+  console.log(
+    `🗄️  Histórico importado de ${summary.source}: ${summary.entries} relatório(s) e ${summary.processedSteamIds} SteamID(s) processada(s).`,
+  );
+  return summary;
 }
 
-function prepareHistoryEntries(entries = []) {
-  const now = Date.now();
-  const byId = new Map();
+// ----------------- Retenção -----------------
+// Política configurada no painel (runtimeSettings.retention) e aplicada por uma varredura periódica:
+// relatórios do histórico por idade e quantidade, arquivos de reports/ por espaço em disco, SteamIDs
+// processadas por TTL e listas de itens de jobs que já não estão em memória nem no histórico. Toda
+// varredura real fica registrada em retention_sweeps.
+const RETENTION_SWEEP_INTERVAL_MS = readIntervalFromEnv('RETENTION_SWEEP_INTERVAL_MS', 60 * 60 * 1000);
+const RETENTION_SWEEP_STARTUP_DELAY_MS = 60 * 1000;
+const RETENTION_SWEEP_LOG_LIMIT = 200;
+const DEFAULT_RETENTION_SWEEPS_LIMIT = 20;
+const RETENTION_SAMPLE_SIZE = 100;
+const RETENTION_FIELDS = [
+  { key: 'historyMaxAgeHours', label: 'Idade máxima dos relatórios (horas)', nullable: false, integer: false },
+  { key: 'historyMaxEntries', label: 'Quantidade máxima de relatórios', nullable: false, integer: true },
+  { key: 'reportsMaxMegabytes', label: 'Espaço máximo de reports/ (MB)', nullable: true, integer: false },
+  { key: 'processedSteamIdTtlDays', label: 'Validade das SteamIDs processadas (dias)', nullable: true, integer: false },
+];
+
+let retentionSweepInFlight = null;
+
+function validateRetentionSettings(value) {
+  let settings = value;
+  if (typeof value === 'string') {
+    try {
+      settings = JSON.parse(value);
+    } catch {
+      return { error: 'Política de retenção inválida: envie um objeto JSON.' };
+    }
+  }
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { error: 'Política de retenção inválida: envie um objeto JSON.' };
+  }
 
-  for (const item of entries) {
-    const normalized = normalizeHistoryEntry(item);
-    if (!normalized) {
+  const retention = {};
+  for (const field of RETENTION_FIELDS) {
+    const raw = Object.hasOwn(settings, field.key) ? settings[field.key] : DEFAULT_RETENTION_POLICY[field.key];
+    if (raw === null || raw === '') {
+      if (!field.nullable) {
+        return { error: `${field.label}: informe um valor.` };
+      }
+      retention[field.key] = null;
       continue;
     }
-    const timestamp = new Date(normalized.generatedAt).getTime();
-    if (Number.isNaN(timestamp) || now - timestamp > HISTORY_RETENTION_MS) {
-      continue;
+    const number = Number(raw);
+    if (!Number.isFinite(number) || number <= 0 || (field.integer && !Number.isInteger(number))) {
+      return { error: `${field.label}: informe um número ${field.integer ? 'inteiro ' : ''}maior que zero.` };
     }
-    byId.set(normalized.id, normalized);
+    retention[field.key] = number;
   }
-
-  return Array.from(byId.values())
-    .sort((a, b) => {
-      const aTime = new Date(a.generatedAt).getTime();
-      const bTime = new Date(b.generatedAt).getTime();
-      return (Number.isNaN(bTime) ? 0 : bTime) - (Number.isNaN(aTime) ? 0 : aTime);
-    })
-    .slice(0, MAX_HISTORY_ENTRIES);
+  return { retention };
 }
 
-async function appendHistoryEntry(entry) {
-  const normalizedEntry = normalizeHistoryEntry(entry);
-  if (!normalizedEntry) {
-    return;
-  }
-
-  await queueHistoryMutation(async (history) => {
-    const entries = prepareHistoryEntries([normalizedEntry, ...(history.entries || [])]);
-    return { ...history, entries };
-  });
+function getRetentionPolicy() {
+  const { retention } = validateRetentionSettings(runtimeSettings.retention ?? DEFAULT_RETENTION_POLICY);
+  return retention || DEFAULT_RETENTION_POLICY;
 }
 
-function buildSteamIdSet(ids = []) {
-  const set = new Set();
-  for (const value of ids) {
-    const sanitized = sanitizeSteamId(value);
-    if (sanitized) {
-      set.add(sanitized);
+async function listReportFiles() {
+  let names;
+  try {
+    names = await fs.readdir(REPORTS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
     }
+    throw error;
   }
-  return set;
-}
 
-async function appendProcessedSteamIds(ids = []) {
-  const sanitized = ids.map((value) => sanitizeSteamId(value)).filter(Boolean);
-  if (!sanitized.length) {
-    return;
+  const files = [];
+  for (const name of names) {
+    const filePath = path.join(REPORTS_DIR, name);
+    try {
+      const stats = await fs.stat(filePath);
+      if (stats.isFile()) {
+        files.push({ name, filePath, bytes: stats.size, modifiedAt: stats.mtimeMs });
+      }
+    } catch {
+      // o arquivo pode ter sumido entre o readdir e o stat
+    }
   }
+  return files;
+}
 
-  await queueHistoryMutation(async (history) => {
-    const existing = buildSteamIdSet(history.processedSteamIds);
-    let changed = false;
-
-    for (const id of sanitized) {
-      if (!existing.has(id)) {
-        existing.add(id);
-        changed = true;
+async function planRetentionSweep(policy) {
+  const db = getDatabase();
+  const now = Date.now();
+  const historyCutoffMs = historyCutoff(policy);
+  const historyEntries = [
+    ...db
+      .prepare('SELECT id, job_id, generated_at FROM history_entries WHERE generated_at < ? ORDER BY generated_at ASC')
+      .all(historyCutoffMs)
+      .map((row) => ({ ...row, reason: 'idade' })),
+    ...db
+      .prepare(`
+        SELECT id, job_id, generated_at FROM history_entries
+        WHERE generated_at >= ?
+        ORDER BY generated_at DESC
+        LIMIT -1 OFFSET ?
+      `)
+      .all(historyCutoffMs, policy.historyMaxEntries)
+      .map((row) => ({ ...row, reason: 'quantidade' })),
+  ].map((row) => ({
+    id: row.id,
+    jobId: row.job_id,
+    generatedAt: new Date(row.generated_at).toISOString(),
+    reason: row.reason,
+  }));
+
+  // Arquivos mais antigos saem primeiro até o diretório caber no orçamento.
+  const files = await listReportFiles();
+  const totalBytes = files.reduce((sum, file) => sum + file.bytes, 0);
+  const budgetBytes = policy.reportsMaxMegabytes === null ? null : Math.floor(policy.reportsMaxMegabytes * 1024 * 1024);
+  const reportFiles = [];
+  if (budgetBytes !== null && totalBytes > budgetBytes) {
+    let remaining = totalBytes;
+    for (const file of files.sort((a, b) => a.modifiedAt - b.modifiedAt)) {
+      if (remaining <= budgetBytes) {
+        break;
       }
+      reportFiles.push(file);
+      remaining -= file.bytes;
     }
+  }
 
-    if (!changed) {
-      return null;
-    }
+  const processedCutoffMs = policy.processedSteamIdTtlDays === null
+    ? null
+    : now - policy.processedSteamIdTtlDays * 24 * 60 * 60 * 1000;
+  const processedSteamIds = processedCutoffMs === null
+    ? { total: 0, sample: [] }
+    : {
+      total: db.prepare('SELECT COUNT(*) AS total FROM processed_steam_ids WHERE processed_at < ?').get(processedCutoffMs).total,
+      sample: db
+        .prepare('SELECT steam_id FROM processed_steam_ids WHERE processed_at < ? ORDER BY processed_at ASC LIMIT ?')
+        .all(processedCutoffMs, RETENTION_SAMPLE_SIZE)
+        .map((row) => row.steam_id),
+    };
 
-    const next = Array.from(existing);
-    const trimmed =
-      next.length > MAX_PROCESSED_STEAM_IDS
-        ? next.slice(next.length - MAX_PROCESSED_STEAM_IDS)
-        : next;
+  const retainedJobIds = new Set([
+    ...jobs.keys(),
+    ...db
+      .prepare('SELECT DISTINCT job_id FROM history_entries WHERE id NOT IN (SELECT value FROM json_each(?))')
+      .all(JSON.stringify(historyEntries.map((entry) => entry.id)))
+      .map((row) => row.job_id),
+  ]);
+  const jobProfileItems = db
+    .prepare('SELECT job_id, COUNT(*) AS profiles FROM job_profile_items GROUP BY job_id')
+    .all()
+    .filter((row) => !retainedJobIds.has(row.job_id))
+    .map((row) => ({ jobId: row.job_id, profiles: row.profiles }));
 
-    return { ...history, processedSteamIds: trimmed };
-  });
+  return {
+    historyEntries,
+    reportFiles,
+    reportsDir: { totalBytes, budgetBytes },
+    processedCutoffMs,
+    processedSteamIds,
+    jobProfileItems,
+  };
 }
 
-async function loadProcessedSteamIdSet() {
-  const history = await loadHistory();
-  return buildSteamIdSet(history.processedSteamIds);
+function summarizeRetentionPlan(plan) {
+  const freedBytes = plan.reportFiles.reduce((sum, file) => sum + file.bytes, 0);
+  return {
+    historyEntries: plan.historyEntries.length,
+    reportFiles: plan.reportFiles.length,
+    reportBytes: freedBytes,
+    reportsDirBytes: plan.reportsDir.totalBytes,
+    reportsBudgetBytes: plan.reportsDir.budgetBytes,
+    processedSteamIds: plan.processedSteamIds.total,
+    profileItemJobs: plan.jobProfileItems.length,
+  };
 }
 
-function buildTotals(results, requestedTotal) {
-  const totals = {
-    requested: requestedTotal,
-    processed: results.length,
-    clean: 0,
-    vacBanned: 0,
-    steamErrors: 0,
-    inventoryErrors: 0,
-    lowCaseRatio: 0,
-    montugaErrors: 0,
+function describeRetentionPlan(plan) {
+  return {
+    historyEntries: plan.historyEntries,
+    reportFiles: plan.reportFiles.map((file) => ({
+      file: file.name,
+      bytes: file.bytes,
+      modifiedAt: new Date(file.modifiedAt).toISOString(),
+    })),
+    processedSteamIds: plan.processedSteamIds.sample,
+    jobProfileItems: plan.jobProfileItems.slice(0, RETENTION_SAMPLE_SIZE),
   };
+}
 
-  for (const profile of results) {
-    switch (profile.status) {
-      case 'success':
-        totals.clean += 1;
-        break;
-      case 'vac_banned':
-        totals.vacBanned += 1;
-        break;
-      case 'steam_error':
-        totals.steamErrors += 1;
-        break;
-      case 'inventory_error':
-        totals.inventoryErrors += 1;
-        break;
-      case 'low_case_ratio':
-        totals.lowCaseRatio += 1;
-        break;
-      case 'montuga_error':
-        totals.montugaErrors += 1;
-        break;
-      default:
-        break;
+function formatRetentionSummary(summary) {
+  return [
+    `${summary.historyEntries} relatório(s) do histórico`,
+    `${summary.reportFiles} arquivo(s) em reports/ (${(summary.reportBytes / (1024 * 1024)).toFixed(2)} MB)`,
+    `${summary.processedSteamIds} SteamID(s) processada(s)`,
+    `itens de ${summary.profileItemJobs ?? 0} job(s)`,
+  ].join(', ');
+}
+
+async function applyRetentionPlan(plan) {
+  const db = getDatabase();
+  const errors = [];
+  db.transaction(() => {
+    if (plan.historyEntries.length) {
+      db.prepare('DELETE FROM history_entries WHERE id IN (SELECT value FROM json_each(?))')
+        .run(JSON.stringify(plan.historyEntries.map((entry) => entry.id)));
+    }
+    if (plan.processedCutoffMs !== null) {
+      db.prepare('DELETE FROM processed_steam_ids WHERE processed_at < ?').run(plan.processedCutoffMs);
+      processedSteamIdCount = null;
+    }
+    if (plan.jobProfileItems.length) {
+      db.prepare('DELETE FROM job_profile_items WHERE job_id IN (SELECT value FROM json_each(?))')
+        .run(JSON.stringify(plan.jobProfileItems.map((entry) => entry.jobId)));
+    }
+  })();
+
+  // Sem o arquivo, o relatório continua acessível pelo HTML guardado no banco (report_html).
+  const clearReportPath = db.prepare('UPDATE history_entries SET report_path = NULL WHERE report_path = ?');
+  const removedFiles = [];
+  for (const file of plan.reportFiles) {
+    try {
+      await fs.unlink(file.filePath);
+      clearReportPath.run(path.relative(ROOT_DIR, file.filePath).replace(/\\/g, '/'));
+      removedFiles.push(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        removedFiles.push(file);
+      } else {
+        errors.push(`${file.name}: ${error.message}`);
+      }
     }
   }
+  return { removedFiles, errors };
+}
 
-  totals.pending = Math.max(totals.requested - totals.processed, 0);
-  return totals;
+function recordRetentionSweep(sweep) {
+  const db = getDatabase();
+  const { lastInsertRowid } = db
+    .prepare(`
+      INSERT INTO retention_sweeps (started_at, finished_at, trigger, policy, summary)
+      VALUES (?, ?, ?, ?, ?)
+    `)
+    .run(
+      new Date(sweep.startedAt).getTime(),
+      new Date(sweep.finishedAt).getTime(),
+      sweep.trigger,
+      JSON.stringify(sweep.policy),
+      JSON.stringify({ ...sweep.summary, errors: sweep.errors }),
+    );
+  db.prepare(`
+    DELETE FROM retention_sweeps
+    WHERE id NOT IN (SELECT id FROM retention_sweeps ORDER BY id DESC LIMIT ?)
+  `).run(RETENTION_SWEEP_LOG_LIMIT);
+  return Number(lastInsertRowid);
 }
 
-function formatStatusLabel(profile) {
-  switch (profile.status) {
-    case 'success':
-      return 'Inventário avaliado';
-    case 'vac_banned':
-      return 'VAC ban bloqueado';
-    case 'inventory_error':
-      return 'Falha Inventário';
-    case 'low_case_ratio':
-      return `Filtrado (${typeof profile.casePercentage === 'number' ? profile.casePercentage.toFixed(1) : '0.0'}% caixas)`;
-    case 'montuga_error':
-      return 'Falha Montuga';
-    case 'steam_error':
-      return 'Falha Steam';
-    default:
-      return 'Processado';
+function listRetentionSweeps(limit = DEFAULT_RETENTION_SWEEPS_LIMIT) {
+  return getDatabase()
+    .prepare('SELECT * FROM retention_sweeps ORDER BY id DESC LIMIT ?')
+    .all(limit)
+    .map((row) => {
+      const { errors, ...summary } = JSON.parse(row.summary);
+      return {
+        id: row.id,
+        trigger: row.trigger,
+        startedAt: new Date(row.started_at).toISOString(),
+        finishedAt: new Date(row.finished_at).toISOString(),
+        policy: JSON.parse(row.policy),
+        summary,
+        errors: errors || [],
+      };
+    });
+}
+
+// dryRun só calcula o plano; a varredura real apaga, registra em retention_sweeps e escreve no log.
+async function runRetentionSweep({ trigger, dryRun = false, policy = getRetentionPolicy() }) {
+  if (!dryRun && retentionSweepInFlight) {
+    return retentionSweepInFlight;
+  }
+
+  const execute = async () => {
+    const startedAt = new Date().toISOString();
+    const plan = await planRetentionSweep(policy);
+    if (dryRun) {
+      return { dryRun: true, policy, summary: summarizeRetentionPlan(plan), details: describeRetentionPlan(plan) };
+    }
+
+    const { removedFiles, errors } = await applyRetentionPlan(plan);
+    const summary = summarizeRetentionPlan({ ...plan, reportFiles: removedFiles });
+    const sweep = { trigger, startedAt, finishedAt: new Date().toISOString(), policy, summary, errors };
+    sweep.id = recordRetentionSweep(sweep);
+    console.log(`🧹 [retenção] Varredura ${trigger}: ${formatRetentionSummary(summary)} removido(s).`);
+    for (const message of errors) {
+      console.warn(`🧹 [retenção] Não foi possível remover ${message}`);
+    }
+    return { dryRun: false, ...sweep, details: describeRetentionPlan({ ...plan, reportFiles: removedFiles }) };
+  };
+
+  if (dryRun) {
+    return execute();
   }
+  retentionSweepInFlight = execute().finally(() => {
+    retentionSweepInFlight = null;
+  });
+  return retentionSweepInFlight;
 }
 
-function statusBadgeClass(status) {
-  switch (status) {
-    case 'success':
-      return 'status-success';
-    case 'vac_banned':
-      return 'status-danger';
-    case 'inventory_error':
-    case 'montuga_error':
-    case 'steam_error':
-      return 'status-warning';
-    case 'low_case_ratio':
-      return 'status-muted';
-    default:
-      return 'status-neutral';
+function scheduleRetentionSweeps() {
+  if (!RETENTION_SWEEP_INTERVAL_MS) {
+    console.log('🧹 [retenção] Varredura automática desativada (RETENTION_SWEEP_INTERVAL_MS=0).');
+    return;
   }
+  const sweep = () => {
+    runRetentionSweep({ trigger: 'agendada' }).catch((error) => {
+      console.error('🧹 [retenção] Falha na varredura agendada:', error);
+    });
+  };
+  setTimeout(sweep, Math.min(RETENTION_SWEEP_STARTUP_DELAY_MS, RETENTION_SWEEP_INTERVAL_MS)).unref();
+  setInterval(sweep, RETENTION_SWEEP_INTERVAL_MS).unref();
 }
 
-function generateReportHtml({ job, results, totals, partial, generatedAt }) {
-  const isMontuga = job.jobType === 'montuga';
-  const successResults = results.filter((p) => p.status === 'success');
-  const rows = successResults.map((profile, index) => {
-    const totalAmount = typeof profile.totalValueBRL === 'number'
-      ? `R$ ${profile.totalValueBRL.toFixed(2)}`
-      : '—';
-    const caseAmount = typeof profile.caseValueBRL === 'number'
-      ? `R$ ${profile.caseValueBRL.toFixed(2)}`
-      : '—';
-    const casePct = typeof profile.casePercentage === 'number'
-      ? `${profile.casePercentage.toFixed(1)}%`
-      : '—';
-    const lastLoginLabel = typeof profile.lastLogoff === 'number'
-      ? new Date(profile.lastLogoff * 1000).toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' })
-      : '—';
-    const statusLabel = formatStatusLabel(profile);
-    const badgeClass = statusBadgeClass(profile.status);
-    const personaLabel = profile.inGame && profile.currentGame
-      ? `Jogando ${profile.currentGame}`
-      : profile.personaStateLabel || (profile.inGame ? 'Em jogo' : 'Desconhecido');
-    const personaClass = profile.inGame
-      ? 'state-in-game'
-      : Number(profile.personaState) > 0
-        ? 'state-online'
-        : 'state-offline';
-    const levelLabel = typeof profile.steamLevel === 'number' ? profile.steamLevel : '—';
+// ----------------- Funções auxiliares -----------------
+function isValidWebhookUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol === 'https:' || u.protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
 
-    return `
-      <tr>
-        <td>${index + 1}</td>
-        <td>
-          <a href="${steamProfileUrl(profile.id)}" target="_blank" rel="noopener noreferrer" class="id-link">
-            ${escapeHtml(profile.id)}
-          </a>
-        </td>
-        <td>
-          <a href="${steamProfileUrl(profile.id)}" target="_blank" rel="noopener noreferrer" class="name-link">
-            ${escapeHtml(profile.name ?? 'N/A')}
-          </a>
-        </td>
-        <td><span class="state-pill ${personaClass}">${escapeHtml(personaLabel)}</span></td>
-        <td><span class="status-badge ${badgeClass}">${escapeHtml(statusLabel)}</span></td>
-        <td>${levelLabel}</td>
-        <td>${profile.vacBanned ? 'Sim' : 'Não'}</td>
-        <td>${profile.gameBans ?? 0}</td>
-        ${!isMontuga ? `<td>${lastLoginLabel}</td>` : ''}
-        <td>${totalAmount}</td>
-        ${!isMontuga ? `
-          <td class="cell-case-value">${caseAmount}</td>
-          <td class="cell-case-pct">${casePct}</td>
-        ` : ''}
-      </tr>
-    `;
-  }).join('');
+function currentDateTimeLabel(date = new Date()) {
+  return new Date(date).toLocaleString('pt-BR', {
+    day: '2-digit', month: '2-digit', year: 'numeric',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+}
 
-  const generatedLabel = currentDateTimeLabel(generatedAt);
-  const title = partial ? 'Prévia parcial de inventário' : 'Relatório completo de inventário';
-  const summaryTilesData = isMontuga ? [
-    { label: 'IDs solicitadas', value: totals.requested },
-    { label: 'Processadas', value: totals.processed },
-    { label: 'Inventários avaliados', value: totals.clean },
-    { label: 'VAC ban bloqueados', value: totals.vacBanned },
-    { label: 'Falhas Steam', value: totals.steamErrors },
-    { label: 'Falhas Montuga', value: totals.montugaErrors },
-  ] : [
-    { label: 'IDs solicitadas', value: totals.requested },
-    { label: 'Processadas', value: totals.processed },
-    { label: 'Passaram filtro caixas', value: totals.clean },
-    { label: 'Filtradas (<60% caixas)', value: totals.lowCaseRatio },
-    { label: 'VAC ban bloqueados', value: totals.vacBanned },
-    { label: 'Falhas Steam', value: totals.steamErrors },
-    { label: 'Falhas Inventário', value: totals.inventoryErrors },
-  ];
-  const summaryTiles = summaryTilesData.map((tile) => `
-    <div class="summary-tile">
-      <span class="summary-label">${escapeHtml(tile.label)}</span>
-      <span class="summary-value">${tile.value}</span>
-    </div>
-  `).join('');
+function escapeHtml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
 
-  return `<!DOCTYPE html>
-  <html lang="pt-BR">
-    <head>
-      <meta charset="utf-8" />
-      <title>${escapeHtml(title)}</title>
-      <style>
-        :root {
-          color-scheme: dark;
-          font-family: 'Inter', 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
-        }
-        body {
-          margin: 0;
-          min-height: 100vh;
-          background: radial-gradient(120% 120% at 0% 0%, #1d4ed8 0%, #0b1120 55%, #030712 100%);
-          color: #e2e8f0;
-        }
-        .report-shell {
-          max-width: 1200px;
-          margin: 0 auto;
-          padding: 48px 24px 64px;
-        }
-        .report-card {
-          background: rgba(15, 23, 42, 0.82);
-          border: 1px solid rgba(148, 163, 184, 0.2);
-          border-radius: 24px;
-          padding: 36px 40px;
-          box-shadow: 0 30px 80px rgba(15, 23, 42, 0.45);
-          backdrop-filter: blur(18px);
-        }
-        h1 {
-          margin: 0 0 12px;
-          font-size: 32px;
-          font-weight: 700;
-          letter-spacing: -0.02em;
-        }
-        .meta {
-          margin: 0 0 28px;
-          color: #94a3b8;
-          font-size: 15px;
-        }
-        .summary-grid {
-          display: grid;
-          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-          gap: 18px;
-          margin-bottom: 36px;
-        }
-        .summary-tile {
-          background: rgba(15, 23, 42, 0.6);
-          border: 1px solid rgba(148, 163, 184, 0.25);
-          border-radius: 18px;
-          padding: 18px 20px;
-        }
-        .summary-label {
-          display: block;
-          font-size: 12px;
-          text-transform: uppercase;
-          letter-spacing: 0.12em;
-          color: #94a3b8;
-        }
-        .summary-value {
-          margin-top: 8px;
-          font-size: 28px;
-          font-weight: 700;
-          color: #f8fafc;
-        }
-        .table-wrapper {
-          overflow-x: auto;
-          border-radius: 20px;
-        }
-        table {
-          width: 100%;
-          border-collapse: collapse;
-          min-width: ${isMontuga ? '960px' : '1200px'};
-          border-radius: 20px;
-          overflow: hidden;
-        }
-        .cell-case-value, .cell-case-pct {
-          font-weight: 700;
-          color: #bbf7d0;
-        }
-        .montuga-tag {
-          display: inline-block;
-          background: rgba(139, 92, 246, 0.2);
-          border: 1px solid rgba(139, 92, 246, 0.4);
-          color: #c4b5fd;
-          border-radius: 999px;
-          padding: 3px 12px;
-          font-size: 12px;
-          font-weight: 600;
-          margin-left: 12px;
-          vertical-align: middle;
-        }
-        thead {
-          background: rgba(51, 65, 85, 0.75);
-          text-transform: uppercase;
-          letter-spacing: 0.08em;
-          font-size: 12px;
-        }
-        th {
-          padding: 16px;
-          text-align: left;
-          color: #cbd5f5;
-        }
-        td {
-          padding: 18px 16px;
-          border-bottom: 1px solid rgba(148, 163, 184, 0.15);
-          vertical-align: top;
-        }
-        tbody tr:nth-child(odd) {
-          background: rgba(15, 23, 42, 0.65);
-        }
-        tbody tr:nth-child(even) {
-          background: rgba(30, 41, 59, 0.55);
-        }
-        tbody tr:last-child td {
-          border-bottom: none;
-        }
-        .id-link,
-        .name-link {
-          color: #bfdbfe;
-          text-decoration: none;
-          font-weight: 600;
-        }
-        .id-link:visited,
-        .name-link:visited {
-          color: #f87171;
-        }
-        .id-link:hover,
-        .name-link:hover {
-          text-decoration: underline;
-        }
-        .status-badge {
-          display: inline-flex;
-          align-items: center;
-          border-radius: 999px;
-          padding: 6px 14px;
-          font-size: 13px;
-          font-weight: 600;
-          letter-spacing: 0.02em;
-        }
-        .status-success {
-          background: rgba(34, 197, 94, 0.2);
-          color: #bbf7d0;
-          border: 1px solid rgba(34, 197, 94, 0.35);
-        }
-        .status-danger {
-          background: rgba(239, 68, 68, 0.18);
-          color: #fecaca;
-          border: 1px solid rgba(248, 113, 113, 0.35);
-        }
-        .status-warning {
-          background: rgba(249, 115, 22, 0.2);
-          color: #fed7aa;
-          border: 1px solid rgba(249, 115, 22, 0.4);
-        }
-        .status-muted {
-          background: rgba(148, 163, 184, 0.18);
-          color: #e2e8f0;
-          border: 1px solid rgba(148, 163, 184, 0.35);
-        }
-        .status-neutral {
-          background: rgba(59, 130, 246, 0.2);
-          color: #dbeafe;
-          border: 1px solid rgba(59, 130, 246, 0.35);
-        }
-        .status-note {
-          display: block;
-          margin-top: 8px;
-          color: #cbd5f5;
-          font-size: 13px;
-          max-width: 320px;
-          line-height: 1.4;
-        }
-        .state-pill {
-          display: inline-flex;
-          align-items: center;
-          border-radius: 999px;
-          padding: 6px 14px;
-          font-size: 13px;
-          font-weight: 600;
-          letter-spacing: 0.02em;
-        }
-        .state-online {
-          background: rgba(34, 197, 94, 0.18);
-          border: 1px solid rgba(34, 197, 94, 0.35);
-          color: #bbf7d0;
-        }
-        .state-offline {
-          background: rgba(148, 163, 184, 0.16);
+function steamProfileUrl(steamId) {
+  if (!steamId) {
+    return 'https://steamcommunity.com';
+  }
+  const trimmed = String(steamId).trim();
+  return `https://steamcommunity.com/profiles/${encodeURIComponent(trimmed)}`;
+}
+
+function collectSteamIdCandidates(value) {
+  if (!value) {
+    return [];
+  }
+
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  if (value instanceof Set) {
+    return Array.from(value);
+  }
+
+  if (typeof value === 'string') {
+    return value.split(/[\s,;]+/).filter(Boolean);
+  }
+
+  return [];
+}
+
+function ensureHistoryShape(data) {
+  const fallback = { entries: [], processedSteamIds: [] };
+
+  if (Array.isArray(data)) {
+    return { ...fallback, entries: data };
+  }
+
+  if (!data || typeof data !== 'object') {
+    return { ...fallback };
+  }
+
+  const normalized = { ...data };
+
+  if (Array.isArray(data.entries)) {
+    normalized.entries = data.entries;
+  } else if (Array.isArray(data.history)) {
+    normalized.entries = data.history;
+  } else if (!Array.isArray(normalized.entries)) {
+    normalized.entries = [];
+  }
+
+  const processedCandidates = [
+    collectSteamIdCandidates(data.processedSteamIds),
+    collectSteamIdCandidates(data.processed),
+    collectSteamIdCandidates(data.ids),
+    collectSteamIdCandidates(data.processedIds),
+  ].flat();
+
+  const unique = new Set();
+  for (const candidate of processedCandidates) {
+    const sanitized = sanitizeSteamId(candidate);
+    if (sanitized) {
+      unique.add(sanitized);
+    }
+  }
+
+  let processedSteamIds = Array.from(unique);
+  if (processedSteamIds.length > MAX_PROCESSED_STEAM_IDS) {
+    processedSteamIds = processedSteamIds.slice(processedSteamIds.length - MAX_PROCESSED_STEAM_IDS);
+  }
+
+  normalized.processedSteamIds = processedSteamIds;
+
+  return { ...fallback, ...normalized };
+}
+
+function getPendingIds(job) {
+  if (!job) {
+    return [];
+  }
+  const queue = Array.isArray(job.queue) ? job.queue : [];
+  const index = Number.isInteger(job.currentIndex) ? job.currentIndex : 0;
+  return queue.slice(Math.max(index, 0));
+}
+
+function sanitizeReportSegment(value, fallback) {
+  const base = (value || fallback || '').toString();
+  const normalized = base.replace(/[^a-zA-Z0-9_-]/g, '_');
+  return normalized || fallback || 'relatorio';
+}
+
+async function persistReportHtml(entry) {
+  if (!entry?.reportHtml) {
+    return null;
+  }
+
+  try {
+    await fs.mkdir(REPORTS_DIR, { recursive: true });
+  } catch (error) {
+    console.warn('Não foi possível preparar o diretório de relatórios.', error);
+    return null;
+  }
+
+  const rawGeneratedAt = entry.generatedAt || new Date().toISOString();
+  let isoCandidate = '';
+  if (typeof rawGeneratedAt === 'string') {
+    isoCandidate = rawGeneratedAt;
+  } else {
+    try {
+      isoCandidate = new Date(rawGeneratedAt).toISOString();
+    } catch (error) {
+      console.warn('Não foi possível normalizar a data de geração do relatório.', error);
+      isoCandidate = new Date().toISOString();
+    }
+  }
+  const timestamp = sanitizeReportSegment(String(isoCandidate).replace(/[:.]/g, '-'), 'data');
+  const jobIdSegment = sanitizeReportSegment(entry.jobId, 'job');
+  const stageSegment = entry.partial ? 'parcial' : 'final';
+  const fileName = `${jobIdSegment}_${stageSegment}_${timestamp}.html`;
+  const filePath = path.join(REPORTS_DIR, fileName);
+
+  try {
+    await fs.writeFile(filePath, entry.reportHtml, 'utf-8');
+  } catch (error) {
+    console.warn('Não foi possível salvar o relatório HTML no disco.', error);
+    return null;
+  }
+
+  return path.relative(ROOT_DIR, filePath);
+}
+
+function normalizeHistoryEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+
+  const baseJobId = entry.jobId ? String(entry.jobId).trim() : 'desconhecido';
+  let generatedAtIso = new Date().toISOString();
+  if (entry.generatedAt) {
+    const candidate = new Date(entry.generatedAt);
+    if (!Number.isNaN(candidate.getTime())) {
+      generatedAtIso = candidate.toISOString();
+    }
+  }
+
+  const normalized = {
+    ...entry,
+    jobId: baseJobId,
+    generatedAt: generatedAtIso,
+    partial: Boolean(entry.partial),
+    reportPath:
+      typeof entry.reportPath === 'string' && entry.reportPath.trim()
+        ? entry.reportPath.trim().replace(/\\+/g, '/').replace(/^\/+/, '')
+        : null,
+  };
+
+  normalized.reportHtml = typeof normalized.reportHtml === 'string' ? normalized.reportHtml : '';
+  normalized.successCount =
+    typeof normalized.successCount === 'number' && Number.isFinite(normalized.successCount)
+      ? normalized.successCount
+      : null;
+  normalized.id = entry.id || `${normalized.jobId}-${generatedAtIso}`;
+
+  return normalized;
+}
+
+function buildTotals(results, requestedTotal) {
+  const totals = {
+    requested: requestedTotal,
+    processed: results.length,
+    clean: 0,
+    vacBanned: 0,
+    steamErrors: 0,
+    inventoryErrors: 0,
+    lowCaseRatio: 0,
+    filtered: 0,
+    montugaErrors: 0,
+  };
+
+  totals.highValueTiers = {};
+
+  for (const profile of results) {
+    if (profile.status === 'success' && profile.highValueTier) {
+      totals.highValueTiers[profile.highValueTier] = (totals.highValueTiers[profile.highValueTier] ?? 0) + 1;
+    }
+    switch (profile.status) {
+      case 'success':
+        totals.clean += 1;
+        break;
+      case 'vac_banned':
+        totals.vacBanned += 1;
+        break;
+      case 'steam_error':
+        totals.steamErrors += 1;
+        break;
+      case 'inventory_error':
+        totals.inventoryErrors += 1;
+        break;
+      case 'low_case_ratio':
+        totals.lowCaseRatio += 1;
+        break;
+      case 'filtered':
+        totals.filtered += 1;
+        break;
+      case 'montuga_error':
+        totals.montugaErrors += 1;
+        break;
+      default:
+        break;
+    }
+  }
+
+  totals.pending = Math.max(totals.requested - totals.processed, 0);
+  return totals;
+}
+
+function formatStatusLabel(profile) {
+  switch (profile.status) {
+    case 'success':
+      return 'Inventário avaliado';
+    case 'vac_banned':
+      return 'VAC ban bloqueado';
+    case 'inventory_error':
+      return 'Falha Inventário';
+    case 'low_case_ratio':
+      return `Filtrado (${typeof profile.casePercentage === 'number' ? profile.casePercentage.toFixed(1) : '0.0'}% caixas)`;
+    case 'filtered':
+      return 'Filtrado';
+    case 'montuga_error':
+      return 'Falha Montuga';
+    case 'steam_error':
+      return 'Falha Steam';
+    default:
+      return 'Processado';
+  }
+}
+
+function formatPersonaLabel(profile) {
+  return profile.inGame && profile.currentGame
+    ? `Jogando ${profile.currentGame}`
+    : profile.personaStateLabel || (profile.inGame ? 'Em jogo' : 'Desconhecido');
+}
+
+function statusBadgeClass(status) {
+  switch (status) {
+    case 'success':
+      return 'status-success';
+    case 'vac_banned':
+      return 'status-danger';
+    case 'inventory_error':
+    case 'montuga_error':
+    case 'steam_error':
+      return 'status-warning';
+    case 'low_case_ratio':
+    case 'filtered':
+      return 'status-muted';
+    default:
+      return 'status-neutral';
+  }
+}
+
+const REPORT_MAX_ITEMS_PER_PROFILE = 50;
+
+function renderProfileItemsRow(profile, { columnCount, stripeClass }) {
+  const items = Array.isArray(profile.items) ? profile.items : [];
+  if (!items.length) {
+    return '';
+  }
+
+  const categories = profile.categories && typeof profile.categories === 'object' ? profile.categories : {};
+  const categoryChips = Object.values(categories)
+    .filter((category) => category.count > 0)
+    .map((category) => `<span class="category-chip">${escapeHtml(category.label)}: ${escapeHtml(formatMoney(category.value, profile.currency))} (${category.percentage.toFixed(1)}%)</span>`)
+    .join('');
+
+  const visible = items.slice(0, REPORT_MAX_ITEMS_PER_PROFILE);
+  const itemRows = visible.map((item) => `
+    <tr>
+      <td>${escapeHtml(item.marketHashName)}</td>
+      <td>${escapeHtml(categories[item.category]?.label || '—')}</td>
+      <td>${escapeHtml(item.type || '—')}</td>
+      <td>${escapeHtml(item.rarity || '—')}</td>
+      <td>${item.quantity}</td>
+      <td>${escapeHtml(formatMoney(item.unitPrice, item.currency))}</td>
+      <td>${escapeHtml(formatMoney(item.totalPrice, item.currency))}</td>
+      <td>${escapeHtml(item.priceField ? `${item.priceSource} (${item.priceField})` : item.priceSource || '—')}</td>
+    </tr>
+  `).join('');
+  const hiddenCount = items.length - visible.length;
+
+  return `
+      <tr class="items-row ${stripeClass}">
+        <td colspan="${columnCount}">
+          <details>
+            <summary>Ver itens (${items.length})</summary>
+            ${categoryChips ? `<div class="category-chips">${categoryChips}</div>` : ''}
+            <table class="items-table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Categoria</th>
+                  <th>Tipo</th>
+                  <th>Raridade</th>
+                  <th>Qtd.</th>
+                  <th>Preço unitário</th>
+                  <th>Total</th>
+                  <th>Fonte do preço</th>
+                </tr>
+              </thead>
+              <tbody>${itemRows}</tbody>
+            </table>
+            ${hiddenCount > 0 ? `<p class="items-more">+${hiddenCount} itens não exibidos. Consulte a lista completa pela API.</p>` : ''}
+          </details>
+        </td>
+      </tr>
+  `;
+}
+
+function buildReportSummaryTiles(job, totals) {
+  return [
+    ...getInventoryProvider(job.jobType).summaryTiles(totals),
+    ...getHighValueTiers(job).map((tier) => ({
+      label: `${tier.label} (≥ ${formatMoney(tier.minValueBRL, BASE_CURRENCY)})`,
+      value: totals.highValueTiers?.[tier.id] ?? 0,
+    })),
+  ];
+}
+
+// CSS compartilhado pelos relatórios HTML (execução e comparação entre execuções).
+function buildReportStyles(tableMinWidth) {
+  return `
+        :root {
+          color-scheme: dark;
+          font-family: 'Inter', 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+        }
+        body {
+          margin: 0;
+          min-height: 100vh;
+          background: radial-gradient(120% 120% at 0% 0%, #1d4ed8 0%, #0b1120 55%, #030712 100%);
+          color: #e2e8f0;
+        }
+        .report-shell {
+          max-width: 1200px;
+          margin: 0 auto;
+          padding: 48px 24px 64px;
+        }
+        .report-card {
+          background: rgba(15, 23, 42, 0.82);
+          border: 1px solid rgba(148, 163, 184, 0.2);
+          border-radius: 24px;
+          padding: 36px 40px;
+          box-shadow: 0 30px 80px rgba(15, 23, 42, 0.45);
+          backdrop-filter: blur(18px);
+        }
+        h1 {
+          margin: 0 0 12px;
+          font-size: 32px;
+          font-weight: 700;
+          letter-spacing: -0.02em;
+        }
+        .meta {
+          margin: 0 0 28px;
+          color: #94a3b8;
+          font-size: 15px;
+        }
+        .summary-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+          gap: 18px;
+          margin-bottom: 36px;
+        }
+        .summary-tile {
+          background: rgba(15, 23, 42, 0.6);
+          border: 1px solid rgba(148, 163, 184, 0.25);
+          border-radius: 18px;
+          padding: 18px 20px;
+        }
+        .summary-label {
+          display: block;
+          font-size: 12px;
+          text-transform: uppercase;
+          letter-spacing: 0.12em;
+          color: #94a3b8;
+        }
+        .summary-value {
+          margin-top: 8px;
+          font-size: 28px;
+          font-weight: 700;
+          color: #f8fafc;
+        }
+        .table-wrapper {
+          overflow-x: auto;
+          border-radius: 20px;
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          min-width: ${tableMinWidth};
+          border-radius: 20px;
+          overflow: hidden;
+        }
+        .cell-case-value, .cell-case-pct {
+          font-weight: 700;
+          color: #bbf7d0;
+        }
+        .montuga-tag {
+          display: inline-block;
+          background: rgba(139, 92, 246, 0.2);
+          border: 1px solid rgba(139, 92, 246, 0.4);
+          color: #c4b5fd;
+          border-radius: 999px;
+          padding: 3px 12px;
+          font-size: 12px;
+          font-weight: 600;
+          margin-left: 12px;
+          vertical-align: middle;
+        }
+        thead {
+          background: rgba(51, 65, 85, 0.75);
+          text-transform: uppercase;
+          letter-spacing: 0.08em;
+          font-size: 12px;
+        }
+        th {
+          padding: 16px;
+          text-align: left;
+          color: #cbd5f5;
+        }
+        td {
+          padding: 18px 16px;
+          border-bottom: 1px solid rgba(148, 163, 184, 0.15);
+          vertical-align: top;
+        }
+        tbody tr.row-odd {
+          background: rgba(15, 23, 42, 0.65);
+        }
+        tbody tr.row-even {
+          background: rgba(30, 41, 59, 0.55);
+        }
+        tbody tr.tier-row td:first-child {
+          box-shadow: inset 4px 0 0 var(--tier-color);
+        }
+        .tier-rank-1 {
+          --tier-color: #38bdf8;
+        }
+        .tier-rank-2 {
+          --tier-color: #a855f7;
+        }
+        .tier-rank-3 {
+          --tier-color: #facc15;
+        }
+        .tier-badge {
+          display: inline-block;
+          margin-left: 8px;
+          padding: 2px 8px;
+          border-radius: 999px;
+          border: 1px solid var(--tier-color);
+          color: var(--tier-color);
+          font-size: 11px;
+          font-weight: 700;
+          text-transform: uppercase;
+          letter-spacing: 0.06em;
+        }
+        .items-row td {
+          padding-top: 0;
+        }
+        .items-row summary {
+          cursor: pointer;
+          color: #93c5fd;
+          font-size: 13px;
+          font-weight: 600;
+        }
+        .items-table {
+          min-width: 0;
+          margin-top: 12px;
+          font-size: 13px;
+        }
+        .items-table th,
+        .items-table td {
+          padding: 8px 12px;
+          background: transparent;
+        }
+        .category-chips {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+          margin-top: 12px;
+        }
+        .category-chip {
+          padding: 4px 10px;
+          border-radius: 999px;
+          background: rgba(59, 130, 246, 0.15);
+          color: #bfdbfe;
+          font-size: 12px;
+        }
+        .items-more {
+          margin: 8px 0 0;
+          color: #94a3b8;
+          font-size: 12px;
+        }
+        tbody tr:last-child td {
+          border-bottom: none;
+        }
+        .id-link,
+        .name-link {
+          color: #bfdbfe;
+          text-decoration: none;
+          font-weight: 600;
+        }
+        .id-link:visited,
+        .name-link:visited {
+          color: #f87171;
+        }
+        .id-link:hover,
+        .name-link:hover {
+          text-decoration: underline;
+        }
+        .status-badge {
+          display: inline-flex;
+          align-items: center;
+          border-radius: 999px;
+          padding: 6px 14px;
+          font-size: 13px;
+          font-weight: 600;
+          letter-spacing: 0.02em;
+        }
+        .status-success {
+          background: rgba(34, 197, 94, 0.2);
+          color: #bbf7d0;
+          border: 1px solid rgba(34, 197, 94, 0.35);
+        }
+        .status-danger {
+          background: rgba(239, 68, 68, 0.18);
+          color: #fecaca;
+          border: 1px solid rgba(248, 113, 113, 0.35);
+        }
+        .status-warning {
+          background: rgba(249, 115, 22, 0.2);
+          color: #fed7aa;
+          border: 1px solid rgba(249, 115, 22, 0.4);
+        }
+        .status-muted {
+          background: rgba(148, 163, 184, 0.18);
+          color: #e2e8f0;
+          border: 1px solid rgba(148, 163, 184, 0.35);
+        }
+        .status-neutral {
+          background: rgba(59, 130, 246, 0.2);
+          color: #dbeafe;
+          border: 1px solid rgba(59, 130, 246, 0.35);
+        }
+        .status-note {
+          display: block;
+          margin-top: 8px;
+          color: #cbd5f5;
+          font-size: 13px;
+          max-width: 320px;
+          line-height: 1.4;
+        }
+        .state-pill {
+          display: inline-flex;
+          align-items: center;
+          border-radius: 999px;
+          padding: 6px 14px;
+          font-size: 13px;
+          font-weight: 600;
+          letter-spacing: 0.02em;
+        }
+        .state-online {
+          background: rgba(34, 197, 94, 0.18);
+          border: 1px solid rgba(34, 197, 94, 0.35);
+          color: #bbf7d0;
+        }
+        .state-offline {
+          background: rgba(148, 163, 184, 0.16);
           border: 1px solid rgba(148, 163, 184, 0.3);
           color: #e2e8f0;
         }
@@ -963,13 +2551,93 @@ function generateReportHtml({ job, results, totals, partial, generatedAt }) {
             min-width: 720px;
           }
         }
+  `;
+}
+
+function generateReportHtml({ job, results, totals, partial, generatedAt }) {
+  const provider = getInventoryProvider(job.jobType);
+  const providerColumns = provider.reportColumns;
+  const providerChain = getJobProviderChain(job);
+  const currency = job.currency || BASE_CURRENCY;
+  const brlRate = getExchangeRate(BASE_CURRENCY, currency);
+  const currencyLabel = currency === BASE_CURRENCY || brlRate === null
+    ? currency
+    : `${currency} (1 BRL = ${brlRate.toFixed(4)} ${currency})`;
+  const providerChainLabel = providerChain.length > 1
+    ? providerChain.map((candidate) => candidate.label).join(' → ')
+    : '';
+  const columnCount = 9 + providerColumns.length;
+  const highValueTiers = getHighValueTiers(job);
+  const tierRanks = new Map(highValueTiers.map((tier, position) => [tier.id, Math.min(position + 1, 3)]));
+  const successResults = results.filter((p) => p.status === 'success');
+  const rows = successResults.map((profile, index) => {
+    const stripeClass = index % 2 === 0 ? 'row-odd' : 'row-even';
+    const tierRank = profile.highValueTier ? tierRanks.get(profile.highValueTier) : null;
+    const rowClass = tierRank ? `${stripeClass} tier-row tier-rank-${tierRank}` : stripeClass;
+    const tierBadge = tierRank
+      ? ` <span class="tier-badge tier-rank-${tierRank}">${escapeHtml(profile.highValueTierLabel || profile.highValueTier)}</span>`
+      : '';
+    const providerCells = providerColumns.map((column) => (
+      `<td${column.className ? ` class="${column.className}"` : ''}>${escapeHtml(column.render(profile))}</td>`
+    )).join('');
+    const statusLabel = formatStatusLabel(profile);
+    const badgeClass = statusBadgeClass(profile.status);
+    const personaLabel = formatPersonaLabel(profile);
+    const personaClass = profile.inGame
+      ? 'state-in-game'
+      : Number(profile.personaState) > 0
+        ? 'state-online'
+        : 'state-offline';
+    const levelLabel = typeof profile.steamLevel === 'number' ? profile.steamLevel : '—';
+
+    return `
+      <tr class="${rowClass}">
+        <td>${index + 1}</td>
+        <td>
+          <a href="${steamProfileUrl(profile.id)}" target="_blank" rel="noopener noreferrer" class="id-link">
+            ${escapeHtml(profile.id)}
+          </a>
+        </td>
+        <td>
+          <a href="${steamProfileUrl(profile.id)}" target="_blank" rel="noopener noreferrer" class="name-link">
+            ${escapeHtml(profile.name ?? 'N/A')}
+          </a>${tierBadge}
+        </td>
+        <td><span class="state-pill ${personaClass}">${escapeHtml(personaLabel)}</span></td>
+        <td><span class="status-badge ${badgeClass}">${escapeHtml(statusLabel)}</span></td>
+        <td>${levelLabel}</td>
+        <td>${profile.vacBanned ? 'Sim' : 'Não'}</td>
+        <td>${profile.gameBans ?? 0}</td>
+        ${providerCells}
+        <td>${escapeHtml(profile.priceSourceLabel || '—')}</td>
+      </tr>
+      ${renderProfileItemsRow(profile, { columnCount, stripeClass })}
+    `;
+  }).join('');
+
+  const generatedLabel = currentDateTimeLabel(generatedAt);
+  const title = partial ? 'Prévia parcial de inventário' : 'Relatório completo de inventário';
+  const summaryTiles = buildReportSummaryTiles(job, totals).map((tile) => `
+    <div class="summary-tile">
+      <span class="summary-label">${escapeHtml(tile.label)}</span>
+      <span class="summary-value">${tile.value}</span>
+    </div>
+  `).join('');
+
+  return `<!DOCTYPE html>
+  <html lang="pt-BR">
+    <head>
+      <meta charset="utf-8" />
+      <title>${escapeHtml(title)}</title>
+      <style>
+${buildReportStyles(provider.tableMinWidth)}
       </style>
     </head>
     <body>
       <div class="report-shell">
         <div class="report-card">
-          <h1>${escapeHtml(title)}${isMontuga ? '<span class="montuga-tag">Montuga API</span>' : ''}</h1>
-          <p class="meta">Gerado em ${escapeHtml(generatedLabel)} • Job ${escapeHtml(job.id)}</p>
+          <h1>${escapeHtml(title)}${provider.reportTag ? `<span class="montuga-tag">${escapeHtml(provider.reportTag)}</span>` : ''}</h1>
+          <p class="meta">Gerado em ${escapeHtml(generatedLabel)} • Job ${escapeHtml(job.id)}${providerChainLabel ? ` • Provedores: ${escapeHtml(providerChainLabel)}` : ''} • Moeda ${escapeHtml(currencyLabel)}</p>
           <div class="summary-grid">
             ${summaryTiles}
           </div>
@@ -985,13 +2653,12 @@ function generateReportHtml({ job, results, totals, partial, generatedAt }) {
                   <th>Nível</th>
                   <th>VAC ban</th>
                   <th>Game bans</th>
-                  ${!isMontuga ? '<th>Último login</th>' : ''}
-                  <th>Inventário (BRL)</th>
-                  ${!isMontuga ? '<th>Valor Caixas (BRL)</th><th>% Caixas</th>' : ''}
+                  ${providerColumns.map((column) => `<th>${escapeHtml(column.money ? `${column.header} (${currency})` : column.header)}</th>`).join('')}
+                  <th>Fonte</th>
                 </tr>
               </thead>
               <tbody>
-                ${rows || `<tr><td colspan="${isMontuga ? 9 : 12}">Nenhum perfil processado ainda.</td></tr>`}
+                ${rows || `<tr><td colspan="${columnCount}">Nenhum perfil processado ainda.</td></tr>`}
               </tbody>
             </table>
           </div>
@@ -1002,618 +2669,3250 @@ function generateReportHtml({ job, results, totals, partial, generatedAt }) {
   </html>`;
 }
 
-async function buildReport(job, { partial = false } = {}) {
-  const totals = buildTotals(job.results, job.totalUnique);
-  const generatedAt = new Date().toISOString();
-  const getSortableValue = (profile) => {
-    const key = job.jobType === 'montuga' ? 'totalValueBRL' : 'caseValueBRL';
-    const raw = Number(profile?.[key]);
-    return Number.isFinite(raw) ? raw : -Infinity;
-  };
-  const sortedResults = [...job.results].sort((a, b) => {
-    const valueA = getSortableValue(a);
-    const valueB = getSortableValue(b);
-    if (valueA === valueB) {
-      return 0;
-    }
-    if (valueA === -Infinity) {
-      return 1;
+function sortReportResults(job, results) {
+  const getSortableValue = (profile) => {
+    const key = getInventoryProvider(job.jobType).sortKey;
+    const raw = Number(profile?.[key]);
+    return Number.isFinite(raw) ? raw : -Infinity;
+  };
+  return [...results].sort((a, b) => {
+    const valueA = getSortableValue(a);
+    const valueB = getSortableValue(b);
+    if (valueA === valueB) {
+      return 0;
+    }
+    if (valueA === -Infinity) {
+      return 1;
+    }
+    if (valueB === -Infinity) {
+      return -1;
+    }
+    return valueB - valueA;
+  });
+}
+
+async function buildReport(job, { partial = false } = {}) {
+  const totals = buildTotals(job.results, job.totalUnique);
+  const generatedAt = new Date().toISOString();
+  let itemsBySteamId = new Map();
+  try {
+    itemsBySteamId = readJobProfileItems(job.id);
+  } catch (error) {
+    console.warn('Não foi possível carregar os itens dos perfis para o relatório.', error);
+  }
+  const sortedResults = sortReportResults(job, job.results).map((profile) => (
+    itemsBySteamId.has(profile.id) ? { ...profile, items: itemsBySteamId.get(profile.id) } : profile
+  ));
+  const reportHtml = generateReportHtml({ job, results: sortedResults, totals, partial, generatedAt });
+
+  return {
+    jobId: job.id,
+    successCount: totals.clean,
+    totals,
+    reportHtml,
+    generatedAt,
+    partial,
+    shareLink: buildJobShareLink(job),
+  };
+}
+
+// ----------------- Controle de Jobs -----------------
+function resolveRequestBaseUrl(req) {
+  if (!req) {
+    return '';
+  }
+
+  const forwardedHost = req.get?.('x-forwarded-host');
+  const rawHost = forwardedHost || req.get?.('host');
+  if (!rawHost) {
+    return '';
+  }
+
+  const forwardedProto = req.get?.('x-forwarded-proto');
+  const protocolCandidate = forwardedProto ? forwardedProto.split(',')[0].trim() : '';
+  const protocol = protocolCandidate || req.protocol || 'http';
+
+  return `${protocol}://${rawHost}`.replace(/\/$/, '');
+}
+
+function normalizeBaseUrl(candidate) {
+  return (candidate || '').trim().replace(/\/$/, '');
+}
+
+function buildJobShareLink(job, fallbackBase = '') {
+  if (!job) {
+    return null;
+  }
+  const normalized = normalizeBaseUrl(job.baseUrl || APP_BASE_URL || fallbackBase);
+  if (!normalized) {
+    return null;
+  }
+  return `${normalized}?job=${job.id}`;
+}
+
+function findLatestActiveJob(jobType = null) {
+  let selected = null;
+  for (const job of jobs.values()) {
+    if (job.status === 'processing' || job.status === 'paused') {
+      if (jobType && (job.jobType || DEFAULT_INVENTORY_PROVIDER) !== jobType) {
+        continue;
+      }
+      if (!selected || (job.updatedAt ?? 0) > (selected.updatedAt ?? 0)) {
+        selected = job;
+      }
+    }
+  }
+  return selected;
+}
+
+function createJob() {
+  const id = randomUUID();
+  const now = Date.now();
+  const job = {
+    id,
+    status: 'pending',
+    logs: [],
+    result: null,
+    clients: new Set(),
+    queue: [],
+    currentIndex: 0,
+    results: [],
+    totalUnique: 0,
+    paused: false,
+    webhookUrl: null,
+    timer: null,
+    startedAt: null,
+    updatedAt: now,
+    requestedIds: [],
+    baseUrl: normalizeBaseUrl(APP_BASE_URL),
+    stopRequested: false,
+    manualStopReason: null,
+    jobType: DEFAULT_INVENTORY_PROVIDER,
+    providerChain: [DEFAULT_INVENTORY_PROVIDER],
+    currency: DEFAULT_CURRENCY,
+    concurrency: DEFAULT_JOB_CONCURRENCY,
+    activeWorkers: 0,
+    completedProfiles: new Map(),
+    nextResultIndex: 0,
+    finalizing: false,
+    steamPrefetch: null,
+    autoRetryFailed: false,
+    retryCooldownMs: DEFAULT_RETRY_COOLDOWN_MS,
+    retryPass: 0,
+    retryScheduledAt: null,
+    retryTimer: null,
+    parentJobId: null,
+    scheduledStart: null,
+    startTimer: null,
+    filters: { ...DEFAULT_JOB_FILTERS },
+    preset: null,
+    highValueTiers: null,
+  };
+  jobs.set(id, job);
+  return job;
+}
+
+function broadcast(job, event, payload) {
+  const data = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const client of job.clients) {
+    client.write(data);
+  }
+}
+
+function appendLog(jobId, msg, type = 'info', steamId = null) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+  const prefix = steamId ? `[ID ${steamId}]` : '[GERAL]';
+  const log = { message: `${prefix} ${msg}`, type, timestamp: Date.now() };
+  job.logs.push(log);
+  if (job.logs.length > 1000) {
+    job.logs.shift();
+  }
+  job.updatedAt = Date.now();
+  broadcast(job, 'log', log);
+  console.log(`[JOB ${jobId}] ${log.message}`);
+}
+
+function scheduleCleanup(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+  setTimeout(() => {
+    const activeJob = jobs.get(jobId);
+    if (activeJob && activeJob.clients.size === 0) {
+      jobs.delete(jobId);
+      removeJobSnapshot(jobId);
+    }
+  }, JOB_RETENTION_MS);
+}
+
+// ----------------- Persistência de Jobs -----------------
+const jobPersistTimers = new Map();
+let jobPersistQueue = Promise.resolve();
+
+function jobSnapshotPath(jobId) {
+  return path.join(JOBS_DIR, `${sanitizeReportSegment(jobId, 'job')}.json`);
+}
+
+function serializeJob(job) {
+  // clients (SSE), timer e os workers em andamento não sobrevivem a um reinício do processo.
+  const {
+    clients: _clients,
+    timer: _timer,
+    activeWorkers: _activeWorkers,
+    completedProfiles: _completedProfiles,
+    finalizing: _finalizing,
+    retryTimer: _retryTimer,
+    startTimer: _startTimer,
+    steamPrefetch: _steamPrefetch,
+    ...state
+  } = job;
+  return state;
+}
+
+function queueJobPersistTask(task) {
+  const next = jobPersistQueue.then(task);
+  jobPersistQueue = next.catch((error) => {
+    console.warn('Não foi possível atualizar o estado persistido do job.', error);
+  });
+  return next;
+}
+
+function writeJobSnapshot(jobId) {
+  return queueJobPersistTask(async () => {
+    const job = jobs.get(jobId);
+    if (!job) {
+      return;
+    }
+    await fs.mkdir(JOBS_DIR, { recursive: true });
+    const filePath = jobSnapshotPath(jobId);
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(serializeJob(job)), 'utf-8');
+    await fs.rename(tempPath, filePath);
+  });
+}
+
+function persistJob(job, { immediate = false } = {}) {
+  if (!job) {
+    return;
+  }
+
+  const pending = jobPersistTimers.get(job.id);
+  if (pending) {
+    if (!immediate) {
+      return;
+    }
+    clearTimeout(pending);
+    jobPersistTimers.delete(job.id);
+  }
+
+  if (immediate) {
+    writeJobSnapshot(job.id).catch(() => {});
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    jobPersistTimers.delete(job.id);
+    writeJobSnapshot(job.id).catch(() => {});
+  }, JOB_PERSIST_DEBOUNCE_MS);
+  jobPersistTimers.set(job.id, timer);
+}
+
+function removeJobSnapshot(jobId) {
+  const pending = jobPersistTimers.get(jobId);
+  if (pending) {
+    clearTimeout(pending);
+    jobPersistTimers.delete(jobId);
+  }
+  return queueJobPersistTask(async () => {
+    await fs.rm(jobSnapshotPath(jobId), { force: true });
+  }).catch(() => {});
+}
+
+async function restorePersistedJobs() {
+  await exchangeRatesFileLoaded;
+  let files = [];
+  try {
+    files = await fs.readdir(JOBS_DIR);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('Não foi possível listar os jobs persistidos.', error);
+    }
+    return;
+  }
+
+  for (const file of files.filter((name) => name.endsWith('.json'))) {
+    const filePath = path.join(JOBS_DIR, file);
+    let state = null;
+    try {
+      state = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      console.warn(`Não foi possível ler o job persistido ${file}.`, error);
+      continue;
+    }
+
+    // Jobs 'pending' com scheduledStart são novas tentativas (mode=child) ainda aguardando o cooldown.
+    const awaitingStart = state?.status === 'pending' && Boolean(state.scheduledStart);
+    if (!state?.id || (state.status !== 'processing' && state.status !== 'paused' && !awaitingStart) || jobs.has(state.id)) {
+      await fs.rm(filePath, { force: true }).catch(() => {});
+      continue;
+    }
+
+    const results = Array.isArray(state.results) ? state.results : [];
+    const job = {
+      ...state,
+      logs: Array.isArray(state.logs) ? state.logs : [],
+      queue: Array.isArray(state.queue) ? state.queue : [],
+      results,
+      clients: new Set(),
+      timer: null,
+      paused: state.status === 'paused',
+      concurrency: resolveJobConcurrency(state.concurrency, DEFAULT_JOB_CONCURRENCY),
+      activeWorkers: 0,
+      completedProfiles: new Map(),
+      finalizing: false,
+      retryTimer: null,
+      startTimer: null,
+      steamPrefetch: null,
+    };
+    if (awaitingStart) {
+      jobs.set(job.id, job);
+      appendLog(job.id, 'Nova tentativa agendada restaurada após reinicialização do servidor.', 'warn');
+      scheduleChildJobStart(job);
+      continue;
+    }
+    // Os perfis que estavam em andamento no momento da queda são consultados de novo.
+    job.nextResultIndex = Number.isInteger(state.nextResultIndex) ? state.nextResultIndex : results.length;
+    job.currentIndex = Math.min(Number.isInteger(state.currentIndex) ? state.currentIndex : 0, job.nextResultIndex);
+    // Snapshots gravados antes de os itens irem para o banco ainda trazem as listas no JSON.
+    detachProfileItems(job, job.results);
+    jobs.set(job.id, job);
+
+    appendLog(
+      job.id,
+      `Job restaurado após reinicialização do servidor (${results.length}/${job.totalUnique} perfis já processados).`,
+      'warn',
+    );
+
+    if (job.retryScheduledAt) {
+      scheduleFailedRetry(job, Math.max(job.retryScheduledAt - Date.now(), 0));
+    }
+
+    if (job.status === 'processing') {
+      processNext(job.id).catch((error) => {
+        console.error('Falha ao retomar job restaurado:', error);
+        failJob(job.id, 'Erro inesperado durante o processamento.');
+      });
+    } else {
+      persistJob(job, { immediate: true });
+    }
+  }
+}
+
+// ----------------- Funções principais -----------------
+const STAGE_LABELS = {
+  started: 'iniciado',
+  paused: 'pausado',
+  resumed: 'retomado',
+  partial: 'prévia disponível',
+  completed: 'concluído',
+  failed: 'falhou',
+  high_value_profile: 'inventário premium',
+  cancelled: 'encerrado manualmente',
+};
+
+const STAGE_BUILDERS = {
+  started: (job, extra = {}) => ({
+    titulo: '🚀 Monitoramento iniciado',
+    mensagem: `Analisando ${extra.requested ?? job.totalUnique} perfis Steam.`,
+    detalhes: {
+      perfisSolicitados: extra.requested ?? job.totalUnique,
+    },
+  }),
+  paused: () => ({
+    titulo: '⏸️ Processamento pausado',
+    mensagem: 'A execução foi pausada manualmente e aguarda novas instruções.',
+  }),
+  resumed: () => ({
+    titulo: '▶️ Processamento retomado',
+    mensagem: 'Continuamos a avaliação do inventário exatamente de onde parou.',
+  }),
+  partial: (job, extra = {}) => ({
+    titulo: '📝 Prévia disponível',
+    mensagem: 'Uma prévia HTML foi gerada com o status parcial da execução.',
+    detalhes: {
+      resumo: extra.totals ?? buildTotals(job.results, job.totalUnique),
+    },
+  }),
+  completed: (job, extra = {}) => ({
+    titulo: '✅ Relatório concluído',
+    mensagem: 'O relatório completo de inventário está pronto para download.',
+    detalhes: {
+      resumo: extra.totals ?? buildTotals(job.results, job.totalUnique),
+      inventariosAvaliados: extra.successCount ?? null,
+    },
+  }),
+  failed: (job, extra = {}) => ({
+    titulo: '❌ Falha durante a execução',
+    mensagem: extra.error || 'O processamento foi interrompido por um erro inesperado.',
+  }),
+  high_value_profile: (_job, extra = {}) => {
+    const profile = extra.profile || {};
+    const tier = extra.tier || null;
+    const nome = profile.name || 'Perfil Steam';
+    const money = resolveProfileMoney(profile, 'totalValue');
+    const valor = typeof money.value === 'number'
+      ? formatMoney(money.value, money.currency)
+      : 'valor não informado';
+    return {
+      titulo: tier ? `💎 Inventário ${tier.label} encontrado` : '💎 Inventário premium encontrado',
+      mensagem: `${nome} possui inventário avaliado em ${valor}.`,
+      ...(tier ? { etapa: `${STAGE_LABELS.high_value_profile} — ${tier.label}`, faixaCodigo: tier.id } : {}),
+      detalhes: {
+        faixa: tier ? { id: tier.id, rotulo: tier.label, minimoBRL: tier.minValueBRL } : null,
+        perfilId: profile.id,
+        nome,
+        valor: money.value ?? null,
+        moeda: money.currency,
+        cotacao: profile.exchangeRate ?? null,
+        valorBRL: profile.totalValueBRL ?? null,
+        vacBanned: profile.vacBanned ?? false,
+      },
+    };
+  },
+  cancelled: (job, extra = {}) => ({
+    titulo: '⏹️ Processamento encerrado',
+    mensagem: extra.reason || 'O processamento foi finalizado manualmente pelo usuário.',
+    detalhes: {
+      resumo: extra.totals ?? buildTotals(job.results, job.totalUnique),
+      inventariosAvaliados: extra.successCount ?? null,
+    },
+  }),
+};
+
+function buildWebhookPayload(job, stage, extra = {}) {
+  const builder = STAGE_BUILDERS[stage];
+  const basePayload = builder
+    ? builder(job, extra)
+    : {
+        titulo: 'Atualização do processamento',
+        mensagem: `Uma nova etapa foi registrada para o job ${job.id}.`,
+        detalhes: extra,
+      };
+
+  const payload = {
+    jobId: job.id,
+    moeda: job.currency || BASE_CURRENCY,
+    etapaCodigo: stage,
+    etapa: STAGE_LABELS[stage] || stage,
+    horario: new Date().toISOString(),
+    ...basePayload,
+  };
+
+  const shareLink = buildJobShareLink(job);
+  if (shareLink) {
+    payload.linkAcompanhamento = shareLink;
+  }
+
+  return payload;
+}
+
+// Ordem de resolução: URL do job (formulário ou preset) → webhook padrão do painel → NOTIFY_WEBHOOK_URL.
+// É resolvida a cada envio, então alterar o painel vale também para jobs em andamento.
+function resolveWebhookTarget(job) {
+  if (job?.webhookUrl) {
+    return { url: job.webhookUrl, source: 'job' };
+  }
+  const panelUrl = typeof runtimeSettings.webhookUrl === 'string' ? runtimeSettings.webhookUrl.trim() : '';
+  if (panelUrl) {
+    return { url: panelUrl, source: 'settings' };
+  }
+  const envUrl = (process.env.NOTIFY_WEBHOOK_URL || '').trim();
+  if (envUrl) {
+    return { url: envUrl, source: 'env' };
+  }
+  return { url: null, source: null };
+}
+
+// Formatos de payload aceitos pelas assinaturas. Cada formatador recebe o payload padrão e devolve
+// { headers, body } prontos para o fetch.
+const WEBHOOK_FORMATTERS = new Map();
+const DEFAULT_WEBHOOK_FORMAT = 'json';
+
+function registerWebhookFormatter(name, { label, format, matchesUrl = null, validateUrl = null }) {
+  WEBHOOK_FORMATTERS.set(name, { name, label: label || name, format, matchesUrl, validateUrl });
+}
+
+registerWebhookFormatter('json', {
+  label: 'JSON padrão',
+  format: (payload) => ({
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  }),
+});
+
+registerWebhookFormatter('form', {
+  label: 'Formulário (payload=JSON)',
+  format: (payload) => ({
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ payload: JSON.stringify(payload) }).toString(),
+  }),
+});
+
+// Discord e Telegram recusam (ou mostram cru) o JSON padrão; os adaptadores abaixo montam o corpo
+// nativo de cada um a partir do mesmo payload de STAGE_BUILDERS.
+const WEBHOOK_STAGE_COLORS = {
+  started: 0x3b82f6,
+  paused: 0xf59e0b,
+  resumed: 0x3b82f6,
+  partial: 0x8b5cf6,
+  completed: 0x22c55e,
+  failed: 0xef4444,
+  high_value_profile: 0xeab308,
+  cancelled: 0x64748b,
+};
+
+const WEBHOOK_TOTALS_LABELS = [
+  ['requested', 'IDs solicitadas'],
+  ['processed', 'Processadas'],
+  ['clean', 'Aprovadas'],
+  ['lowCaseRatio', 'Filtradas (caixas)'],
+  ['filtered', 'Filtradas (filtros do job)'],
+  ['vacBanned', 'VAC ban'],
+  ['steamErrors', 'Falhas Steam'],
+  ['inventoryErrors', 'Falhas inventário'],
+  ['montugaErrors', 'Falhas Montuga'],
+  ['pending', 'Pendentes'],
+];
+
+function describeWebhookFields(payload) {
+  const details = payload.detalhes && typeof payload.detalhes === 'object' ? payload.detalhes : {};
+  const fields = [];
+
+  if (details.resumo && typeof details.resumo === 'object') {
+    for (const [key, label] of WEBHOOK_TOTALS_LABELS) {
+      const value = details.resumo[key];
+      if (typeof value === 'number' && (value > 0 || key === 'requested' || key === 'processed')) {
+        fields.push({ name: label, value: value.toLocaleString('pt-BR') });
+      }
+    }
+  }
+
+  if (payload.etapaCodigo === 'high_value_profile' && details.perfilId) {
+    fields.push({ name: 'Perfil', value: details.nome || details.perfilId, url: steamProfileUrl(details.perfilId) });
+    if (details.faixa) {
+      fields.push({ name: 'Faixa', value: `${details.faixa.rotulo} (≥ ${formatMoney(details.faixa.minimoBRL, BASE_CURRENCY)})` });
+    }
+    if (typeof details.valor === 'number') {
+      fields.push({ name: 'Valor', value: formatMoney(details.valor, details.moeda || payload.moeda) });
+    }
+    if (typeof details.valorBRL === 'number' && (details.moeda || payload.moeda) !== BASE_CURRENCY) {
+      fields.push({ name: 'Valor (BRL)', value: formatMoney(details.valorBRL, BASE_CURRENCY) });
+    }
+  }
+
+  if (typeof details.inventariosAvaliados === 'number') {
+    fields.push({ name: 'Inventários avaliados', value: details.inventariosAvaliados.toLocaleString('pt-BR') });
+  }
+
+  return fields;
+}
+
+function escapeTelegramHtml(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function getTelegramChatId(url) {
+  try {
+    return new URL(url).searchParams.get('chat_id');
+  } catch {
+    return null;
+  }
+}
+
+registerWebhookFormatter('discord', {
+  label: 'Discord (embed)',
+  matchesUrl: (url) => /^https:\/\/(?:[a-z]+\.)?discord(?:app)?\.com\/api\/webhooks\//i.test(url),
+  format: (payload) => {
+    const fields = describeWebhookFields(payload).map((field) => ({
+      name: field.name,
+      value: (field.url ? `[${field.value}](${field.url})` : String(field.value)).slice(0, 1024),
+      inline: !field.url,
+    }));
+    const embed = {
+      title: String(payload.titulo || payload.etapa || 'Atualização').slice(0, 256),
+      description: String(payload.mensagem || '').slice(0, 4096),
+      color: WEBHOOK_STAGE_COLORS[payload.etapaCodigo] ?? 0x94a3b8,
+      timestamp: payload.horario,
+      fields: fields.slice(0, 25),
+      footer: { text: `Job ${payload.jobId} · ${payload.etapa}` },
+    };
+    if (payload.linkAcompanhamento) {
+      embed.url = payload.linkAcompanhamento;
+    }
+    return {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'Art Cases', embeds: [embed] }),
+    };
+  },
+});
+
+registerWebhookFormatter('telegram', {
+  label: 'Telegram (sendMessage)',
+  // O chat de destino vai na própria URL: https://api.telegram.org/bot<token>/sendMessage?chat_id=<id>
+  matchesUrl: (url) => /^https:\/\/api\.telegram\.org\/bot[^/]+\/sendMessage/i.test(url),
+  validateUrl: (url) => (getTelegramChatId(url) ? null : 'Inclua ?chat_id=<id> na URL do Telegram.'),
+  format: (payload, url) => {
+    const lines = [`<b>${escapeTelegramHtml(payload.titulo || payload.etapa)}</b>`];
+    if (payload.mensagem) {
+      lines.push(escapeTelegramHtml(payload.mensagem));
+    }
+    const fields = describeWebhookFields(payload);
+    if (fields.length) {
+      lines.push('');
+      for (const field of fields) {
+        const value = field.url
+          ? `<a href="${escapeTelegramHtml(field.url)}">${escapeTelegramHtml(field.value)}</a>`
+          : escapeTelegramHtml(field.value);
+        lines.push(`${escapeTelegramHtml(field.name)}: ${value}`);
+      }
+    }
+    if (payload.linkAcompanhamento) {
+      lines.push('', `<a href="${escapeTelegramHtml(payload.linkAcompanhamento)}">Acompanhar job</a>`);
+    }
+    return {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: getTelegramChatId(url),
+        text: lines.join('\n').slice(0, 4096),
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+      }),
+    };
+  },
+});
+
+function detectWebhookFormat(url) {
+  for (const formatter of WEBHOOK_FORMATTERS.values()) {
+    if (formatter.matchesUrl && formatter.matchesUrl(url)) {
+      return formatter.name;
+    }
+  }
+  return DEFAULT_WEBHOOK_FORMAT;
+}
+
+// ----------------- Entrega de webhooks (assinatura e novas tentativas) -----------------
+// Toda entrega leva X-ArtCases-Delivery (igual em todas as tentativas, para o receptor deduplicar) e
+// X-ArtCases-Timestamp. Com segredo configurado (painel ou WEBHOOK_SIGNING_SECRET), vai também
+// X-ArtCases-Signature: sha256=HMAC(segredo, "<timestamp>.<corpo>").
+const WEBHOOK_MAX_ATTEMPTS = Math.max(readIntervalFromEnv('WEBHOOK_MAX_ATTEMPTS', 4), 1);
+const WEBHOOK_RETRY_BASE_MS = readIntervalFromEnv('WEBHOOK_RETRY_BASE_MS', 2000);
+const WEBHOOK_RETRY_MAX_MS = 60000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+function getWebhookSigningSecret() {
+  const panelSecret = typeof runtimeSettings.webhookSecret === 'string' ? runtimeSettings.webhookSecret.trim() : '';
+  return panelSecret || (process.env.WEBHOOK_SIGNING_SECRET || '').trim() || null;
+}
+
+function signWebhookRequest(request, { deliveryId, stage }) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    ...request.headers,
+    'X-ArtCases-Delivery': deliveryId,
+    'X-ArtCases-Timestamp': timestamp,
+  };
+  if (stage) {
+    headers['X-ArtCases-Event'] = stage;
+  }
+  const secret = getWebhookSigningSecret();
+  if (secret) {
+    const signature = createHmac('sha256', secret).update(`${timestamp}.${request.body}`).digest('hex');
+    headers['X-ArtCases-Signature'] = `sha256=${signature}`;
+  }
+  return { ...request, headers };
+}
+
+function isRetryableWebhookStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+async function sendWebhookRequest(url, bodyPayload, format, deliveryId) {
+  const formatter = WEBHOOK_FORMATTERS.get(format) || WEBHOOK_FORMATTERS.get(DEFAULT_WEBHOOK_FORMAT);
+  const stage = bodyPayload?.etapaCodigo || null;
+  const post = (request) => fetch(url, {
+    method: 'POST',
+    ...signWebhookRequest(request, { deliveryId, stage }),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+
+  let r = await post(formatter.format(bodyPayload, url));
+  if (r.status === 415 && formatter.name === 'json') {
+    r = await post(WEBHOOK_FORMATTERS.get('form').format(bodyPayload, url));
+  }
+
+  if (!r.ok) {
+    const error = new Error(`Webhook retornou ${r.status}`);
+    error.status = r.status;
+    error.retryable = isRetryableWebhookStatus(r.status);
+    throw error;
+  }
+  return r.status;
+}
+
+async function deliverWebhook(url, bodyPayload, format = detectWebhookFormat(url), options = {}) {
+  const deliveryId = options.deliveryId || randomUUID();
+  const maxAttempts = options.maxAttempts ?? WEBHOOK_MAX_ATTEMPTS;
+  let attempt = 0;
+  for (;;) {
+    attempt += 1;
+    try {
+      return await sendWebhookRequest(url, bodyPayload, format, deliveryId);
+    } catch (error) {
+      // Erros de rede não têm status e valem nova tentativa; 4xx (exceto 408/429) não.
+      const retryable = error.retryable ?? true;
+      if (!retryable || attempt >= maxAttempts) {
+        error.deliveryId = deliveryId;
+        error.attempts = attempt;
+        throw error;
+      }
+      const ceiling = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1), WEBHOOK_RETRY_MAX_MS);
+      await sleep(Math.round(ceiling / 2 + Math.random() * (ceiling / 2)));
+    }
+  }
+}
+
+// Falhas definitivas ficam em webhook_deliveries.json para consulta e reenvio pelo painel.
+const WEBHOOK_DELIVERY_LOG_FILE = path.join(ROOT_DIR, 'webhook_deliveries.json');
+const WEBHOOK_DELIVERY_LOG_LIMIT = 500;
+let webhookDeliveryLogQueue = Promise.resolve();
+
+async function loadWebhookDeliveryLog() {
+  try {
+    const raw = await fs.readFile(WEBHOOK_DELIVERY_LOG_FILE, 'utf-8');
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function queueWebhookDeliveryLogMutation(mutator) {
+  const task = webhookDeliveryLogQueue.then(async () => {
+    const current = await loadWebhookDeliveryLog();
+    const updated = await mutator(current);
+    if (updated) {
+      const tmpPath = `${WEBHOOK_DELIVERY_LOG_FILE}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(updated.slice(-WEBHOOK_DELIVERY_LOG_LIMIT), null, 2), 'utf-8');
+      await fs.rename(tmpPath, WEBHOOK_DELIVERY_LOG_FILE);
+    }
+  });
+  webhookDeliveryLogQueue = task.catch(() => {});
+  return task;
+}
+
+function recordFailedWebhookDelivery({ url, format, name, payload, error }) {
+  const entry = {
+    id: error.deliveryId || randomUUID(),
+    status: 'failed',
+    url,
+    format,
+    subscription: name || null,
+    jobId: payload?.jobId || null,
+    stage: payload?.etapaCodigo || null,
+    attempts: error.attempts ?? 1,
+    lastStatus: error.status ?? null,
+    lastError: error.message,
+    failedAt: new Date().toISOString(),
+    replays: [],
+    payload,
+  };
+  return queueWebhookDeliveryLogMutation((entries) => [...entries, entry]).catch((logError) => {
+    console.warn('Não foi possível registrar a entrega de webhook com falha:', logError);
+  });
+}
+
+function subscriptionWantsStage(subscription, stage, tierId) {
+  // "high_value_profile" assina todas as faixas; "high_value_profile:<faixa>" só aquela faixa.
+  if (!subscription.stages.length) return true;
+  return subscription.stages.some((subscribed) => (
+    subscribed === stage || (tierId && subscribed === `${stage}:${tierId}`)
+  ));
+}
+
+function collectWebhookTargets(job, stage, tierId = null) {
+  // O webhook principal (job → painel → env) recebe todas as etapas; as assinaturas, só as que
+  // escolheram. Mesma URL com o mesmo formato recebe uma única entrega.
+  const targets = [];
+  const seen = new Set();
+  const addTarget = (target) => {
+    const key = `${target.url}|${target.format}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    targets.push(target);
+  };
+
+  const primary = resolveWebhookTarget(job);
+  if (primary.url) {
+    addTarget({ url: primary.url, format: detectWebhookFormat(primary.url), name: null });
+  }
+  for (const subscription of getWebhookSubscriptions()) {
+    if (!subscription.enabled) continue;
+    if (!subscriptionWantsStage(subscription, stage, tierId)) continue;
+    addTarget({ url: subscription.url, format: subscription.format, name: subscription.name });
+  }
+  return targets;
+}
+
+async function notifyWebhook(job, stage, payload = {}) {
+  const targets = collectWebhookTargets(job, stage, payload.tier?.id || null);
+  if (!targets.length) return;
+  const bodyPayload = buildWebhookPayload(job, stage, payload);
+  await Promise.all(targets.map(async (target) => {
+    try {
+      await deliverWebhook(target.url, bodyPayload, target.format);
+    } catch (err) {
+      appendLog(job.id, `Falha webhook${target.name ? ` (${target.name})` : ''} após ${err.attempts ?? 1} tentativa(s): ${err.message}`, 'warn');
+      await recordFailedWebhookDelivery({ ...target, payload: bodyPayload, error: err });
+    }
+  }));
+}
+
+// ----------------- Assinaturas de webhook -----------------
+// Cada assinatura tem URL, etapas assinadas (vazio = todas), formato do payload e flag de ativação.
+// Ficam em runtimeSettings.webhookSubscriptions (panel_settings.json).
+const MAX_SUBSCRIPTION_NAME_LENGTH = 80;
+const SUBSCRIPTION_AUDIT_FIELDS = ['name', 'url', 'stages', 'format', 'enabled'];
+
+function getWebhookSubscriptions() {
+  return Array.isArray(runtimeSettings.webhookSubscriptions) ? runtimeSettings.webhookSubscriptions : [];
+}
+
+function findWebhookSubscription(subscriptionId) {
+  const id = String(subscriptionId ?? '').trim();
+  return id ? getWebhookSubscriptions().find((subscription) => subscription.id === id) || null : null;
+}
+
+function validateWebhookSubscription(body, existing = null) {
+  const input = { ...(existing || {}), ...(body || {}) };
+
+  const url = String(input.url ?? '').trim();
+  if (!url || !isValidWebhookUrl(url)) {
+    return { error: 'Informe uma URL de webhook válida.' };
+  }
+
+  const name = String(input.name ?? '').trim();
+  if (name.length > MAX_SUBSCRIPTION_NAME_LENGTH) {
+    return { error: `O nome da assinatura deve ter até ${MAX_SUBSCRIPTION_NAME_LENGTH} caracteres.` };
+  }
+
+  const rawStages = Array.isArray(input.stages) ? input.stages : String(input.stages ?? '').split(/[\s,;]+/);
+  const stages = Array.from(new Set(rawStages.map((stage) => String(stage ?? '').trim()).filter(Boolean)));
+  const unknownStage = stages.find((stage) => !STAGE_LABELS[stage] && !/^high_value_profile:[a-z0-9_-]{1,40}$/.test(stage));
+  if (unknownStage) {
+    return { error: `Etapa desconhecida: ${unknownStage}.` };
+  }
+
+  // Sem formato explícito (ou ao trocar a URL sem informar formato), detecta pela URL.
+  const explicitFormat = body && Object.prototype.hasOwnProperty.call(body, 'format');
+  const format = String((explicitFormat ? body.format : null) ?? '').trim()
+    || (body?.url === undefined && existing?.format)
+    || detectWebhookFormat(url);
+  if (!WEBHOOK_FORMATTERS.has(format)) {
+    return { error: `Formato de payload desconhecido: ${format}.` };
+  }
+  const urlError = WEBHOOK_FORMATTERS.get(format).validateUrl?.(url);
+  if (urlError) {
+    return { error: urlError };
+  }
+
+  const enabled = input.enabled === undefined ? true : parseBooleanFlag(input.enabled);
+
+  const now = new Date().toISOString();
+  return {
+    subscription: {
+      id: existing?.id || randomUUID(),
+      name: name || url,
+      url,
+      stages,
+      format,
+      enabled,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    },
+  };
+}
+
+function describeWebhookFormats() {
+  return Array.from(WEBHOOK_FORMATTERS.values()).map(({ name, label }) => ({ name, label }));
+}
+
+function buildSampleWebhookPayload(stage, baseUrl = '') {
+  // Job fictício só para o teste do painel; não entra no mapa de jobs.
+  const currency = DEFAULT_CURRENCY;
+  const totalValue = convertCurrency(HIGH_VALUE_THRESHOLD_BRL * 2, BASE_CURRENCY, currency) ?? HIGH_VALUE_THRESHOLD_BRL * 2;
+  const sampleProfile = {
+    id: '76561197960287930',
+    name: 'Perfil de teste',
+    status: 'success',
+    vacBanned: false,
+    gameBans: 0,
+    currency,
+    totalValue,
+    totalValueBRL: HIGH_VALUE_THRESHOLD_BRL * 2,
+    exchangeRate: getExchangeRate(BASE_CURRENCY, currency) ?? 1,
+  };
+  const sampleJob = {
+    id: 'teste-webhook',
+    currency,
+    results: [sampleProfile],
+    totalUnique: 1,
+    baseUrl: normalizeBaseUrl(APP_BASE_URL || baseUrl),
+  };
+  const totals = buildTotals(sampleJob.results, sampleJob.totalUnique);
+  const extraByStage = {
+    started: { requested: 1 },
+    completed: { totals, successCount: totals.clean },
+    partial: { totals },
+    cancelled: { totals, successCount: totals.clean, reason: 'Teste de webhook enviado pelo painel.' },
+    failed: { error: 'Teste de webhook enviado pelo painel.' },
+    high_value_profile: { profile: sampleProfile, tier: resolveHighValueTier(getHighValueTiers(), sampleProfile.totalValueBRL) },
+  };
+  return {
+    ...buildWebhookPayload(sampleJob, stage, extraByStage[stage] || {}),
+    teste: true,
+  };
+}
+
+// Dados do job guardados junto ao registro de histórico para exportar e reconstruir o relatório
+// (XLSX, PDF) depois que o job sai da memória.
+function buildHistorySnapshot(job) {
+  return {
+    currency: job.currency || BASE_CURRENCY,
+    jobType: job.jobType,
+    providerChain: job.providerChain || null,
+    filters: job.filters || null,
+    highValueTiers: job.highValueTiers || null,
+    results: job.results.map(omitProfileItems),
+  };
+}
+
+async function finalizeJob(jobId, options = {}) {
+  const job = jobs.get(jobId);
+  if (!job || job.status === 'complete' || job.status === 'error' || job.finalizing) {
+    if (job && !job.finalizing) {
+      job.stopRequested = false;
+      job.manualStopReason = null;
+    }
+    return;
+  }
+  job.finalizing = true;
+  clearFailedRetry(job);
+
+  const manualStop = Boolean(options.manualStop);
+  const manualReason = options.reason || null;
+
+  if (job.timer) {
+    clearTimeout(job.timer);
+    job.timer = null;
+  }
+
+  const payload = await buildReport(job, { partial: false });
+  const reportPath = await persistReportHtml(payload);
+  if (reportPath) {
+    payload.reportPath = reportPath;
+    appendLog(jobId, `Relatório HTML salvo em ${reportPath}.`);
+  } else {
+    appendLog(jobId, 'Não foi possível salvar o relatório HTML no disco.', 'warn');
+  }
+
+  const enrichedPayload = { ...payload, manualStop, manualStopReason: manualReason };
+
+  if (manualStop) {
+    appendLog(jobId, 'Processamento encerrado manualmente. Relatório consolidado com os dados disponíveis.', 'warn');
+  }
+
+  job.status = 'complete';
+  job.stopRequested = false;
+  job.manualStopReason = null;
+  job.result = { ...enrichedPayload, logs: job.logs, shareLink: buildJobShareLink(job) };
+  job.timer = null;
+  job.updatedAt = Date.now();
+  job.finishedAt = job.updatedAt;
+
+  persistJob(job, { immediate: true });
+
+  broadcast(job, 'complete', job.result);
+  broadcast(job, 'end', { ok: true, manualStop });
+
+  await appendHistoryEntry({ ...enrichedPayload, ...buildHistorySnapshot(job) });
+
+  const webhookStage = manualStop ? 'cancelled' : 'completed';
+  notifyWebhook(job, webhookStage, {
+    totals: payload.totals,
+    successCount: payload.successCount,
+    reason: manualReason,
+  });
+
+  scheduleCleanup(jobId);
+}
+
+function failJob(jobId, msg) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+  clearFailedRetry(job);
+  job.status = 'error';
+  job.result = { error: msg, logs: job.logs, shareLink: buildJobShareLink(job) };
+  job.timer = null;
+  job.updatedAt = Date.now();
+  job.stopRequested = false;
+  job.manualStopReason = null;
+  persistJob(job, { immediate: true });
+  broadcast(job, 'job-error', { error: msg, shareLink: buildJobShareLink(job) });
+  broadcast(job, 'end', { ok: false });
+  notifyWebhook(job, 'failed', { error: msg });
+  scheduleCleanup(jobId);
+}
+
+// ----------------- API Steam / Montuga -----------------
+// Com deferOnCircuitOpen, um circuito aberto é repassado a quem chamou (o perfil volta a ser
+// consultado quando o circuito permitir) em vez de virar steam_error.
+async function fetchSteamProfile(jobId, steamId, prefetched = {}, { deferOnCircuitOpen = false } = {}) {
+  const info = {
+    id: steamId,
+    name: 'N/A',
+    vacBanned: false,
+    gameBans: 0,
+    status: 'ready',
+    personaState: null,
+    personaStateLabel: 'Desconhecido',
+    inGame: false,
+    currentGame: null,
+    steamLevel: null,
+    statusReason: null,
+    statusReasonCode: null,
+  };
+  try {
+    let profile = prefetched.summary;
+    if (profile === undefined) {
+      const summaryResponse = await upstreamFetch(`${STEAM_API_BASE_URL}ISteamUser/GetPlayerSummaries/v0002/?key=${STEAM_API_KEY}&steamids=${steamId}`);
+      if (!summaryResponse.ok) {
+        throw new Error(`Steam retornou ${summaryResponse.status}`);
+      }
+      const summaryData = await summaryResponse.json();
+      profile = summaryData?.response?.players?.[0];
+    }
+    const personaDetails = describePersonaState(profile);
+    const realName = typeof profile?.realname === 'string' ? profile.realname.trim() : '';
+    if (realName) {
+      info.name = realName;
+    } else if (profile?.personaname) {
+      info.name = profile.personaname;
+    }
+    info.personaState = Number.isFinite(personaDetails.code) ? personaDetails.code : null;
+    info.personaStateLabel = personaDetails.label;
+    info.inGame = Boolean(personaDetails.inGame);
+    info.currentGame = personaDetails.game;
+    if (typeof profile?.lastlogoff === 'number') {
+      info.lastLogoff = profile.lastlogoff;
+    }
+  } catch (error) {
+    if (deferOnCircuitOpen && isCircuitOpenError(error)) {
+      throw error;
+    }
+    info.status = 'steam_error';
+    info.statusReason = 'Falha ao consultar perfil na Steam.';
+    appendLog(jobId, `Erro perfil: ${error.message}`, 'error', steamId);
+    return info;
+  }
+
+  try {
+    let banInfo = prefetched.bans;
+    if (banInfo === undefined) {
+      const bansResponse = await upstreamFetch(`${STEAM_API_BASE_URL}ISteamUser/GetPlayerBans/v1/?key=${STEAM_API_KEY}&steamids=${steamId}`);
+      if (bansResponse.ok) {
+        const bansData = await bansResponse.json();
+        banInfo = bansData?.players?.[0];
+      }
+    }
+    if (banInfo) {
+      info.vacBanned = Boolean(banInfo.VACBanned);
+      info.gameBans = Number(banInfo.NumberOfGameBans || 0);
+    }
+  } catch (error) {
+    if (deferOnCircuitOpen && isCircuitOpenError(error)) {
+      throw error;
+    }
+    appendLog(jobId, `Não foi possível obter status VAC: ${error.message}`, 'warn', steamId);
+  }
+
+  appendLog(jobId, `Perfil localizado: ${info.name}`, 'info', steamId);
+  return info;
+}
+
+function extractItemTags(item) {
+  const rawTags = Array.isArray(item?.tags) ? item.tags : [];
+  return rawTags
+    .map((tag) => (typeof tag === 'string' ? tag : tag?.localized_tag_name || tag?.name || tag?.internal_name))
+    .filter((tag) => typeof tag === 'string' && tag.trim())
+    .map((tag) => tag.trim());
+}
+
+async function fetchSteamWebApiInventory(steamInfo, { currency = BASE_CURRENCY } = {}) {
+  const params = new URLSearchParams({
+    key: STEAMWEBAPI_KEY,
+    steam_id: steamInfo.id,
+    game: 'cs2',
+    parse: '1',
+    currency,
+  });
+  const response = await upstreamFetch(`${STEAMWEBAPI_BASE_URL}/inventory?${params.toString()}`);
+  if (!response.ok) {
+    throw new Error(`SteamWebAPI retornou ${response.status}`);
+  }
+  const raw = await response.json();
+  const items = Array.isArray(raw) ? raw : [];
+
+  let totalValue = 0;
+  const breakdown = new Map();
+
+  for (const item of items) {
+    const priceField = ['pricelatest', 'pricesafe', 'priceavg'].find((field) => item?.[field] !== undefined && item?.[field] !== null);
+    const price = Number(priceField ? item[priceField] : 0);
+    const name = String(item?.markethashname || item?.marketname || item?.name || 'Item desconhecido');
+    const entry = breakdown.get(name) || {
+      marketHashName: name,
+      type: item?.itemtype || null,
+      rarity: item?.rarity || null,
+      tags: extractItemTags(item),
+      quantity: 0,
+      unitPrice: null,
+      totalPrice: null,
+      priceField: priceField || null,
+    };
+    entry.quantity += 1;
+    breakdown.set(name, entry);
+
+    if (!Number.isFinite(price) || price < 0) continue;
+    entry.unitPrice = price;
+    entry.totalPrice = (entry.totalPrice ?? 0) + price;
+    totalValue += price;
+  }
+
+  return {
+    currency,
+    totalValue,
+    items: Array.from(breakdown.values()),
+  };
+}
+
+async function fetchMontugaInventory(steamInfo) {
+  const url = `${MONTUGA_BASE_URL}/${steamInfo.id}/${APP_ID}/total-value`;
+  const response = await upstreamFetch(url, {
+    headers: {
+      'api-key': MONTUGA_API_KEY,
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+    },
+  });
+  if (!response.ok) {
+    throw new Error(`Montuga retornou ${response.status}`);
+  }
+  const data = await response.json();
+  return { currency: 'USD', totalValue: Number(data?.total_value || 0) };
+}
+
+// ----------------- Provedores de inventário -----------------
+// Cada provedor informa nome, variável de ambiente exigida, função de consulta, status de erro e as
+// colunas/indicadores que contribui para o relatório. fetchInventory(steamInfo, { currency }) lança em
+// caso de falha e devolve { currency, totalValue, items? } na moeda em que o provedor precificou.
+// items traz { marketHashName, type, rarity, tags, quantity, unitPrice, totalPrice, priceField } por
+// item; quando presente, os itens são classificados pelas categorias configuradas e o filtro por
+// categoria é aplicado.
+const DEFAULT_INVENTORY_PROVIDER = 'steamwebapi';
+const INVENTORY_PROVIDERS = new Map();
+
+function resolveProfileMoney(profile, field) {
+  // Perfis anteriores ao suporte a moedas só possuem os campos em BRL.
+  if (typeof profile?.[field] === 'number' && profile.currency) {
+    return { value: profile[field], currency: profile.currency };
+  }
+  return { value: profile?.[`${field}BRL`], currency: BASE_CURRENCY };
+}
+
+function formatProfileMoney(profile, field) {
+  const { value, currency } = resolveProfileMoney(profile, field);
+  return formatMoney(value, currency);
+}
+
+const REPORT_COLUMNS = {
+  lastLogin: {
+    header: 'Último login',
+    render: (profile) => (typeof profile.lastLogoff === 'number'
+      ? new Date(profile.lastLogoff * 1000).toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+      : '—'),
+  },
+  totalValue: {
+    header: 'Inventário',
+    money: true,
+    render: (profile) => formatProfileMoney(profile, 'totalValue'),
+  },
+  caseValue: {
+    header: 'Valor Caixas',
+    money: true,
+    className: 'cell-case-value',
+    render: (profile) => formatProfileMoney(profile, 'caseValue'),
+  },
+  casePercentage: {
+    header: '% Caixas',
+    className: 'cell-case-pct',
+    render: (profile) => (typeof profile.casePercentage === 'number' ? `${profile.casePercentage.toFixed(1)}%` : '—'),
+  },
+};
+
+function registerInventoryProvider(provider) {
+  if (!provider?.name || typeof provider.fetchInventory !== 'function') {
+    throw new Error('Provedor de inventário inválido: informe name e fetchInventory.');
+  }
+  INVENTORY_PROVIDERS.set(provider.name, {
+    envKey: null,
+    errorStatus: 'inventory_error',
+    sortKey: 'totalValueBRL',
+    itemBreakdown: false,
+    reportColumns: [REPORT_COLUMNS.totalValue],
+    reportTag: null,
+    tableMinWidth: '960px',
+    summaryTiles: (totals) => [
+      { label: 'IDs solicitadas', value: totals.requested },
+      { label: 'Processadas', value: totals.processed },
+      { label: 'Inventários avaliados', value: totals.clean },
+      { label: 'VAC ban bloqueados', value: totals.vacBanned },
+      { label: 'Falhas Steam', value: totals.steamErrors },
+      { label: 'Falhas Inventário', value: totals.inventoryErrors },
+    ],
+    ...provider,
+  });
+}
+
+function getInventoryProvider(name) {
+  return INVENTORY_PROVIDERS.get(name) || INVENTORY_PROVIDERS.get(DEFAULT_INVENTORY_PROVIDER);
+}
+
+function isInventoryProviderConfigured(provider) {
+  return !provider.envKey || Boolean(process.env[provider.envKey]);
+}
+
+function describeInventoryProviders() {
+  return Array.from(INVENTORY_PROVIDERS.values()).map((provider) => ({
+    name: provider.name,
+    label: provider.label,
+    envKey: provider.envKey,
+    configured: isInventoryProviderConfigured(provider),
+    default: provider.name === DEFAULT_INVENTORY_PROVIDER,
+    reportColumns: provider.reportColumns.map((column) => column.header),
+  }));
+}
+
+registerInventoryProvider({
+  name: 'steamwebapi',
+  label: 'SteamWebAPI',
+  envKey: 'STEAMWEBAPI_KEY',
+  errorStatus: 'inventory_error',
+  sortKey: 'caseValueBRL',
+  itemBreakdown: true,
+  fetchInventory: fetchSteamWebApiInventory,
+  reportColumns: [
+    REPORT_COLUMNS.lastLogin,
+    REPORT_COLUMNS.totalValue,
+    REPORT_COLUMNS.caseValue,
+    REPORT_COLUMNS.casePercentage,
+  ],
+  tableMinWidth: '1200px',
+  summaryTiles: (totals) => [
+    { label: 'IDs solicitadas', value: totals.requested },
+    { label: 'Processadas', value: totals.processed },
+    { label: 'Passaram filtro caixas', value: totals.clean },
+    { label: 'Filtradas (<60% caixas)', value: totals.lowCaseRatio },
+    { label: 'Filtradas (filtros do job)', value: totals.filtered },
+    { label: 'VAC ban bloqueados', value: totals.vacBanned },
+    { label: 'Falhas Steam', value: totals.steamErrors },
+    { label: 'Falhas Inventário', value: totals.inventoryErrors },
+  ],
+});
+
+registerInventoryProvider({
+  name: 'montuga',
+  label: 'Montuga API',
+  envKey: 'MONTUGA_API_KEY',
+  errorStatus: 'montuga_error',
+  sortKey: 'totalValueBRL',
+  fetchInventory: fetchMontugaInventory,
+  reportColumns: [REPORT_COLUMNS.totalValue],
+  reportTag: 'Montuga API',
+  tableMinWidth: '960px',
+  summaryTiles: (totals) => [
+    { label: 'IDs solicitadas', value: totals.requested },
+    { label: 'Processadas', value: totals.processed },
+    { label: 'Inventários avaliados', value: totals.clean },
+    { label: 'Filtradas (filtros do job)', value: totals.filtered },
+    { label: 'VAC ban bloqueados', value: totals.vacBanned },
+    { label: 'Falhas Steam', value: totals.steamErrors },
+    { label: 'Falhas Montuga', value: totals.montugaErrors },
+  ],
+});
+
+for (const provider of INVENTORY_PROVIDERS.values()) {
+  if (!isInventoryProviderConfigured(provider) && !MIGRATE_HISTORY_ONLY) {
+    console.warn(`\n⚠️  ${provider.envKey} não definida. O provedor ${provider.label} não funcionará.`);
+  }
+}
+
+function resolveProviderChain(value, fallback = [DEFAULT_INVENTORY_PROVIDER]) {
+  const candidates = Array.isArray(value)
+    ? value
+    : String(value ?? '').split(/[\s,;]+/);
+  const names = Array.from(new Set(candidates.map((name) => String(name ?? '').trim()).filter(Boolean)));
+  return names.length ? names : fallback;
+}
+
+function getJobProviderChain(job) {
+  const chain = Array.isArray(job?.providerChain) && job.providerChain.length
+    ? job.providerChain
+    : [job?.jobType || DEFAULT_INVENTORY_PROVIDER];
+  return chain.map((name) => INVENTORY_PROVIDERS.get(name)).filter(Boolean);
+}
+
+function normalizeInventoryItems(items, { exchangeRate, currency, provider }) {
+  if (!Array.isArray(items)) {
+    return [];
+  }
+  return items
+    .map((item) => {
+      const quantity = Number.isFinite(Number(item?.quantity)) && Number(item.quantity) > 0 ? Number(item.quantity) : 1;
+      const unitPrice = typeof item?.unitPrice === 'number' && Number.isFinite(item.unitPrice)
+        ? item.unitPrice * exchangeRate
+        : null;
+      const totalPrice = typeof item?.totalPrice === 'number' && Number.isFinite(item.totalPrice)
+        ? item.totalPrice * exchangeRate
+        : unitPrice === null ? null : unitPrice * quantity;
+      return {
+        marketHashName: String(item?.marketHashName || 'Item desconhecido'),
+        type: item?.type || null,
+        rarity: item?.rarity || null,
+        tags: Array.isArray(item?.tags) ? item.tags : [],
+        quantity,
+        unitPrice,
+        totalPrice,
+        currency,
+        priceSource: provider.name,
+        priceField: item?.priceField || null,
+      };
+    })
+    .sort((a, b) => (b.totalPrice ?? -1) - (a.totalPrice ?? -1));
+}
+
+function omitProfileItems(profile) {
+  // A lista de itens fica disponível em /process/:jobId/profile/:steamId/items; eventos e webhooks
+  // levam apenas a contagem.
+  if (!profile || !Array.isArray(profile.items)) {
+    return profile ? { ...profile } : profile;
+  }
+  const { items, ...rest } = profile;
+  return { ...rest, itemCount: countInventoryItems(items) };
+}
+
+function countInventoryItems(items = []) {
+  return items.reduce((sum, item) => sum + (item.quantity || 0), 0);
+}
+
+async function evaluateInventory(jobId, providers, steamInfo, { deferOnCircuitOpen = false } = {}) {
+  // Os provedores são consultados na ordem da cadeia do job; o primeiro que responder precifica o perfil.
+  let result;
+  let provider = null;
+  let circuitError = null;
+  for (const [position, candidate] of providers.entries()) {
+    if (position > 0) {
+      appendLog(jobId, `Tentando provedor alternativo: ${candidate.label}…`, 'info', steamInfo.id);
+    }
+    try {
+      result = await candidate.fetchInventory(steamInfo, { currency: jobs.get(jobId)?.currency || BASE_CURRENCY });
+      provider = candidate;
+      break;
+    } catch (error) {
+      if (isCircuitOpenError(error) && (!circuitError || error.retryAt < circuitError.retryAt)) {
+        circuitError = error;
+      }
+      appendLog(jobId, `Erro ${candidate.label}: ${error.message}`, 'error', steamInfo.id);
+    }
+  }
+
+  // Um provedor com circuito aberto não é falha do perfil: ele espera o circuito e tenta de novo.
+  if (!provider && circuitError && deferOnCircuitOpen) {
+    throw circuitError;
+  }
+
+  if (!provider) {
+    // A cadeia inteira foi tentada: o status é o do último provedor, que deu a palavra final.
+    steamInfo.status = providers[providers.length - 1].errorStatus;
+    steamInfo.statusReason = `Falha ao consultar a ${providers.map((candidate) => candidate.label).join(' / ')}.`;
+    steamInfo.priceSource = null;
+    steamInfo.priceSourceLabel = null;
+    return;
+  }
+
+  steamInfo.priceSource = provider.name;
+  steamInfo.priceSourceLabel = provider.label;
+
+  const job = jobs.get(jobId);
+  const currency = job?.currency || BASE_CURRENCY;
+  const priceCurrency = normalizeCurrencyCode(result?.currency) || BASE_CURRENCY;
+  const exchangeRate = getExchangeRate(priceCurrency, currency);
+  const toBrlRate = getExchangeRate(priceCurrency, BASE_CURRENCY);
+  // Os filtros do job comparam na moeda do job e as faixas de alto valor em BRL; sem as duas cotações o
+  // perfil vira falha do provedor, entra nas novas tentativas e não é exibido com o preço na moeda errada.
+  if (exchangeRate === null || toBrlRate === null) {
+    const missing = exchangeRate === null ? currency : BASE_CURRENCY;
+    steamInfo.status = provider.errorStatus;
+    steamInfo.statusReasonCode = 'exchange_rate_unavailable';
+    steamInfo.statusReason = `Cotação ${priceCurrency}→${missing} indisponível; inventário não convertido.`;
+    steamInfo.priceCurrency = priceCurrency;
+    appendLog(jobId, `Sem cotação ${priceCurrency}→${missing} (fonte: ${exchangeRates.source}). Perfil marcado como falha.`, 'error', steamInfo.id);
+    return;
+  }
+  const rawTotal = Number(result?.totalValue) || 0;
+  const totalValue = rawTotal * exchangeRate;
+
+  steamInfo.currency = currency;
+  steamInfo.priceCurrency = priceCurrency;
+  steamInfo.exchangeRate = exchangeRate;
+  steamInfo.exchangeRatesUpdatedAt = exchangeRates.updatedAt;
+  steamInfo.totalValue = totalValue;
+  steamInfo.totalValueBRL = rawTotal * toBrlRate;
+  steamInfo.items = normalizeInventoryItems(result?.items, { exchangeRate, currency, provider });
+
+  if (Array.isArray(result?.items)) {
+    const categories = categorizeInventoryItems(steamInfo.items, totalValue);
+    const caseSummary = categories[DEFAULT_FILTER_CATEGORY] || { value: 0, count: 0, percentage: 0 };
+    steamInfo.categories = categories;
+    steamInfo.caseValue = caseSummary.value;
+    steamInfo.caseValueBRL = exchangeRate > 0 ? (caseSummary.value / exchangeRate) * toBrlRate : 0;
+    steamInfo.caseCount = caseSummary.count;
+    steamInfo.casePercentage = caseSummary.percentage;
+    appendLog(jobId, `Inventário: ${formatMoney(totalValue, currency)} total | ${formatMoney(caseSummary.value, currency)} em caixas (${caseSummary.percentage.toFixed(1)}%)`, 'info', steamInfo.id);
+  } else {
+    appendLog(jobId, `Inventário avaliado: ${formatMoney(totalValue, currency)}`, 'info', steamInfo.id);
+  }
+
+  // O status final (aprovado ou filtrado) é decidido pelo estágio de filtros.
+  steamInfo.status = 'success';
+  steamInfo.statusReason = `Inventário avaliado com sucesso pela ${provider.label}.`;
+}
+
+function notifyHighValueProfile(job, steamInfo) {
+  // As faixas são definidas em BRL; o log mostra o limite convertido para a moeda do job.
+  const tier = resolveHighValueTier(getHighValueTiers(job), steamInfo.totalValueBRL);
+  if (!tier) {
+    return;
+  }
+  const currency = job.currency || BASE_CURRENCY;
+  const threshold = convertCurrency(tier.minValueBRL, BASE_CURRENCY, currency) ?? tier.minValueBRL;
+  steamInfo.highValueTier = tier.id;
+  steamInfo.highValueTierLabel = tier.label;
+  appendLog(job.id, `Inventário ${tier.label} identificado (≥ ${formatMoney(threshold, currency)}).`, 'success', steamInfo.id);
+  notifyWebhook(job, 'high_value_profile', { profile: omitProfileItems(steamInfo), tier });
+}
+
+// ----------------- Filtros por job -----------------
+// Cada /process pode trazer um conjunto de filtros. O estágio 'profile' roda com os dados da Steam
+// (banimentos, nível, último logoff, status), antes de consultar o inventário; o estágio 'inventory'
+// roda depois da precificação (faixas de valor e proporção da categoria). Perfis excluídos recebem
+// statusReasonCode além do statusReason.
+const FILTER_REASON_CODES = Object.freeze({
+  VAC_BANNED: 'vac_banned',
+  GAME_BANNED: 'game_banned',
+  LEVEL_BELOW_MIN: 'level_below_min',
+  LEVEL_ABOVE_MAX: 'level_above_max',
+  LOGOFF_TOO_RECENT: 'logoff_too_recent',
+  LOGOFF_TOO_OLD: 'logoff_too_old',
+  PERSONA_STATE_NOT_ALLOWED: 'persona_state_not_allowed',
+  TOTAL_VALUE_BELOW_MIN: 'total_value_below_min',
+  TOTAL_VALUE_ABOVE_MAX: 'total_value_above_max',
+  CASE_VALUE_BELOW_MIN: 'case_value_below_min',
+  CASE_VALUE_ABOVE_MAX: 'case_value_above_max',
+  CATEGORY_RATIO_BELOW_MIN: 'category_ratio_below_min',
+  UNVERIFIABLE_RATIO: 'unverifiable_ratio',
+});
+
+// Os valores monetários dos filtros são expressos na moeda do job.
+const DEFAULT_JOB_FILTERS = Object.freeze({
+  minTotalValue: null,
+  maxTotalValue: null,
+  minCaseValue: null,
+  maxCaseValue: null,
+  minLevel: null,
+  maxLevel: null,
+  vacBans: 'deny',
+  gameBans: 'deny',
+  minDaysSinceLogoff: null,
+  maxDaysSinceLogoff: null,
+  personaStates: null,
+  category: null,
+  minCategoryRatio: null,
+});
+
+const FILTER_RANGES = [
+  ['minTotalValue', 'maxTotalValue', 'valor total'],
+  ['minCaseValue', 'maxCaseValue', 'valor em caixas'],
+  ['minLevel', 'maxLevel', 'nível Steam'],
+  ['minDaysSinceLogoff', 'maxDaysSinceLogoff', 'dias desde o último logoff'],
+];
+
+function normalizeJobFilters(raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return { filters: { ...DEFAULT_JOB_FILTERS } };
+  }
+
+  let spec = raw;
+  if (typeof raw === 'string') {
+    try {
+      spec = JSON.parse(raw);
+    } catch {
+      return { error: 'Filtros inválidos: envie um objeto JSON.' };
+    }
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return { error: 'Filtros inválidos: envie um objeto JSON.' };
+  }
+
+  const filters = { ...DEFAULT_JOB_FILTERS };
+  for (const [minKey, maxKey, label] of FILTER_RANGES) {
+    for (const key of [minKey, maxKey]) {
+      if (spec[key] === undefined || spec[key] === null || spec[key] === '') continue;
+      const value = Number(spec[key]);
+      if (!Number.isFinite(value) || value < 0) {
+        return { error: `Filtro ${key} deve ser um número maior ou igual a zero.` };
+      }
+      filters[key] = value;
+    }
+    if (filters[minKey] !== null && filters[maxKey] !== null && filters[minKey] > filters[maxKey]) {
+      return { error: `Filtro de ${label}: mínimo maior que o máximo.` };
+    }
+  }
+
+  for (const key of ['vacBans', 'gameBans']) {
+    if (spec[key] === undefined || spec[key] === null || spec[key] === '') continue;
+    const value = typeof spec[key] === 'boolean'
+      ? (spec[key] ? 'allow' : 'deny')
+      : String(spec[key]).trim().toLowerCase();
+    if (value !== 'allow' && value !== 'deny') {
+      return { error: `Filtro ${key} deve ser "allow" ou "deny".` };
+    }
+    filters[key] = value;
+  }
+
+  if (spec.personaStates !== undefined && spec.personaStates !== null) {
+    const states = Array.isArray(spec.personaStates) ? spec.personaStates : [spec.personaStates];
+    const codes = states.map((state) => Number(state));
+    if (!codes.length || codes.some((code) => !Number.isInteger(code) || !(code in PERSONA_STATE_LABELS))) {
+      return { error: 'Filtro personaStates deve listar códigos de status da Steam (0 a 6).' };
+    }
+    filters.personaStates = Array.from(new Set(codes));
+  }
+
+  if (spec.category !== undefined && spec.category !== null && spec.category !== '') {
+    const category = String(spec.category).trim().toLowerCase();
+    const known = category === OTHER_ITEM_CATEGORY.id
+      || getItemCategories().some((candidate) => candidate.id === category);
+    if (!known) {
+      return { error: `Categoria de filtro desconhecida: ${category}.` };
+    }
+    filters.category = category;
+  }
+
+  if (spec.minCategoryRatio !== undefined && spec.minCategoryRatio !== null && spec.minCategoryRatio !== '') {
+    const ratio = Number(spec.minCategoryRatio);
+    if (!Number.isFinite(ratio) || ratio < 0 || ratio > 100) {
+      return { error: 'Filtro minCategoryRatio deve estar entre 0 e 100.' };
+    }
+    filters.minCategoryRatio = ratio;
+  }
+
+  return { filters };
+}
+
+function getJobFilters(job) {
+  return { ...DEFAULT_JOB_FILTERS, ...(job?.filters || {}) };
+}
+
+function describeJobFilters(filters, currency = BASE_CURRENCY) {
+  const parts = [];
+  const describeRange = (min, max, label, format = (value) => value) => {
+    if (min !== null && max !== null) parts.push(`${label} entre ${format(min)} e ${format(max)}`);
+    else if (min !== null) parts.push(`${label} ≥ ${format(min)}`);
+    else if (max !== null) parts.push(`${label} ≤ ${format(max)}`);
+  };
+  const money = (value) => formatMoney(value, currency);
+
+  describeRange(filters.minTotalValue, filters.maxTotalValue, 'valor total', money);
+  describeRange(filters.minCaseValue, filters.maxCaseValue, 'valor em caixas', money);
+  describeRange(filters.minLevel, filters.maxLevel, 'nível');
+  describeRange(filters.minDaysSinceLogoff, filters.maxDaysSinceLogoff, 'dias desde o logoff');
+  parts.push(filters.vacBans === 'allow' ? 'VAC ban permitido' : 'VAC ban bloqueado');
+  parts.push(filters.gameBans === 'allow' ? 'game ban permitido' : 'game ban bloqueado');
+  if (filters.personaStates) {
+    parts.push(`status: ${filters.personaStates.map((code) => PERSONA_STATE_LABELS[code]).join(', ')}`);
+  }
+  return parts.join('; ');
+}
+
+function excludeProfile(job, profile, status, reasonCode, reason) {
+  profile.status = status;
+  profile.statusReason = reason;
+  profile.statusReasonCode = reasonCode;
+  appendLog(job.id, `Filtrado: ${reason}`, 'warn', profile.id);
+  return false;
+}
+
+function checkRange(value, min, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  if (min !== null && value < min) return 'below';
+  if (max !== null && value > max) return 'above';
+  return null;
+}
+
+function applyProfileFilters(job, profile) {
+  const filters = getJobFilters(job);
+
+  if (profile.vacBanned && filters.vacBans === 'deny') {
+    return excludeProfile(job, profile, 'vac_banned', FILTER_REASON_CODES.VAC_BANNED, 'Perfil bloqueado por VAC ban.');
+  }
+  if ((profile.gameBans ?? 0) > 0 && filters.gameBans === 'deny') {
+    return excludeProfile(job, profile, 'vac_banned', FILTER_REASON_CODES.GAME_BANNED, `Perfil bloqueado por Game Ban (${profile.gameBans} banimentos).`);
+  }
+
+  const levelCheck = checkRange(profile.steamLevel, filters.minLevel, filters.maxLevel);
+  if (levelCheck === 'below') {
+    return excludeProfile(job, profile, 'filtered', FILTER_REASON_CODES.LEVEL_BELOW_MIN, `Nível ${profile.steamLevel} abaixo do mínimo (${filters.minLevel}).`);
+  }
+  if (levelCheck === 'above') {
+    return excludeProfile(job, profile, 'filtered', FILTER_REASON_CODES.LEVEL_ABOVE_MAX, `Nível ${profile.steamLevel} acima do máximo (${filters.maxLevel}).`);
+  }
+
+  if (typeof profile.lastLogoff === 'number') {
+    const days = Math.max(Date.now() / 1000 - profile.lastLogoff, 0) / 86400;
+    const logoffCheck = checkRange(days, filters.minDaysSinceLogoff, filters.maxDaysSinceLogoff);
+    if (logoffCheck === 'below') {
+      return excludeProfile(job, profile, 'filtered', FILTER_REASON_CODES.LOGOFF_TOO_RECENT, `Último logoff há ${days.toFixed(0)} dia(s) (mínimo: ${filters.minDaysSinceLogoff}).`);
     }
-    if (valueB === -Infinity) {
-      return -1;
+    if (logoffCheck === 'above') {
+      return excludeProfile(job, profile, 'filtered', FILTER_REASON_CODES.LOGOFF_TOO_OLD, `Último logoff há ${days.toFixed(0)} dia(s) (máximo: ${filters.maxDaysSinceLogoff}).`);
     }
-    return valueB - valueA;
-  });
-  const reportHtml = generateReportHtml({ job, results: sortedResults, totals, partial, generatedAt });
+  }
 
-  return {
-    jobId: job.id,
-    successCount: totals.clean,
-    totals,
-    reportHtml,
-    generatedAt,
-    partial,
-    shareLink: buildJobShareLink(job),
-  };
+  if (filters.personaStates && !filters.personaStates.includes(profile.personaState)) {
+    return excludeProfile(job, profile, 'filtered', FILTER_REASON_CODES.PERSONA_STATE_NOT_ALLOWED, `Status "${profile.personaStateLabel}" fora dos permitidos.`);
+  }
+
+  return true;
 }
 
-// ----------------- Controle de Jobs -----------------
-function resolveRequestBaseUrl(req) {
-  if (!req) {
-    return '';
+function applyInventoryFilters(job, profile) {
+  const filters = getJobFilters(job);
+  const currency = profile.currency || job.currency || BASE_CURRENCY;
+
+  const totalCheck = checkRange(profile.totalValue, filters.minTotalValue, filters.maxTotalValue);
+  if (totalCheck === 'below') {
+    return excludeProfile(job, profile, 'filtered', FILTER_REASON_CODES.TOTAL_VALUE_BELOW_MIN, `Valor total ${formatMoney(profile.totalValue, currency)} abaixo do mínimo (${formatMoney(filters.minTotalValue, currency)}).`);
+  }
+  if (totalCheck === 'above') {
+    return excludeProfile(job, profile, 'filtered', FILTER_REASON_CODES.TOTAL_VALUE_ABOVE_MAX, `Valor total ${formatMoney(profile.totalValue, currency)} acima do máximo (${formatMoney(filters.maxTotalValue, currency)}).`);
   }
 
-  const forwardedHost = req.get?.('x-forwarded-host');
-  const rawHost = forwardedHost || req.get?.('host');
-  if (!rawHost) {
-    return '';
+  const caseCheck = checkRange(profile.caseValue, filters.minCaseValue, filters.maxCaseValue);
+  if (caseCheck === 'below') {
+    return excludeProfile(job, profile, 'filtered', FILTER_REASON_CODES.CASE_VALUE_BELOW_MIN, `Valor em caixas ${formatMoney(profile.caseValue, currency)} abaixo do mínimo (${formatMoney(filters.minCaseValue, currency)}).`);
+  }
+  if (caseCheck === 'above') {
+    return excludeProfile(job, profile, 'filtered', FILTER_REASON_CODES.CASE_VALUE_ABOVE_MAX, `Valor em caixas ${formatMoney(profile.caseValue, currency)} acima do máximo (${formatMoney(filters.maxCaseValue, currency)}).`);
   }
 
-  const forwardedProto = req.get?.('x-forwarded-proto');
-  const protocolCandidate = forwardedProto ? forwardedProto.split(',')[0].trim() : '';
-  const protocol = protocolCandidate || req.protocol || 'http';
+  // Quem precificou pode ter devolvido só o total (ex.: fallback). Com minCategoryRatio explícito o
+  // perfil é excluído; sem ele, passa marcado com o motivo para não ser confundido com um aprovado verificado.
+  const category = (filters.category && [...getItemCategories(), OTHER_ITEM_CATEGORY].find((candidate) => candidate.id === filters.category))
+    || getFilterCategory();
+  const label = category.label.toLowerCase();
+  if (!profile.categories) {
+    const unverifiableReason = `Proporção em ${label} não verificável: ${profile.priceSourceLabel || 'o provedor'} não informou os itens do inventário.`;
+    profile.filterCategory = category.id;
+    if (filters.minCategoryRatio !== null) {
+      return excludeProfile(job, profile, 'filtered', FILTER_REASON_CODES.UNVERIFIABLE_RATIO, unverifiableReason);
+    }
+    if (getJobProviderChain(job)[0]?.itemBreakdown) {
+      profile.statusReason = unverifiableReason;
+      profile.statusReasonCode = FILTER_REASON_CODES.UNVERIFIABLE_RATIO;
+      appendLog(job.id, `${unverifiableReason} Perfil mantido sem essa verificação.`, 'warn', profile.id);
+    }
+  }
+  if (profile.categories) {
+    const summary = profile.categories[category.id] || { value: 0, percentage: 0 };
+    const threshold = filters.minCategoryRatio ?? getCaseThreshold();
+    profile.filterCategory = category.id;
+    profile.filterPercentage = summary.percentage;
+    if (summary.percentage < threshold) {
+      return excludeProfile(job, profile, 'low_case_ratio', FILTER_REASON_CODES.CATEGORY_RATIO_BELOW_MIN, `${summary.percentage.toFixed(1)}% em ${label} (mínimo: ${threshold.toFixed(0)}%).`);
+    }
+    profile.statusReason = `Inventário avaliado. ${summary.percentage.toFixed(1)}% em ${label}.`;
+  }
 
-  return `${protocol}://${rawHost}`.replace(/\/$/, '');
+  appendLog(job.id, `Perfil aprovado nos filtros: ${formatMoney(profile.totalValue, currency)} total.`, 'success', profile.id);
+  return true;
 }
 
-function normalizeBaseUrl(candidate) {
-  return (candidate || '').trim().replace(/\/$/, '');
+// ----------------- Presets de filtros -----------------
+// Um preset guarda provedor, filtros, webhook e moeda com um nome, para o /process reaproveitar via
+// presetId. Ficam em runtimeSettings.presets (panel_settings.json).
+const MAX_PRESET_NAME_LENGTH = 80;
+const PRESET_AUDIT_FIELDS = ['name', 'provider', 'filters', 'webhookUrl', 'currency'];
+
+function getPresets() {
+  return Array.isArray(runtimeSettings.presets) ? runtimeSettings.presets : [];
 }
 
-function buildJobShareLink(job, fallbackBase = '') {
-  if (!job) {
-    return null;
+function findPreset(presetId) {
+  const id = String(presetId ?? '').trim();
+  return id ? getPresets().find((preset) => preset.id === id) || null : null;
+}
+
+function validatePreset(body, existing = null) {
+  const input = { ...(existing || {}), ...(body || {}) };
+
+  const name = String(input.name ?? '').trim();
+  if (!name || name.length > MAX_PRESET_NAME_LENGTH) {
+    return { error: `Informe um nome de até ${MAX_PRESET_NAME_LENGTH} caracteres para o preset.` };
   }
-  const normalized = normalizeBaseUrl(job.baseUrl || APP_BASE_URL || fallbackBase);
-  if (!normalized) {
-    return null;
+  const duplicate = getPresets().find((preset) => preset.id !== existing?.id && preset.name.toLowerCase() === name.toLowerCase());
+  if (duplicate) {
+    return { error: `Já existe um preset chamado "${duplicate.name}".` };
   }
-  return `${normalized}?job=${job.id}`;
-}
 
-function findLatestActiveJob(jobType = null) {
-  let selected = null;
-  for (const job of jobs.values()) {
-    if (job.status === 'processing' || job.status === 'paused') {
-      if (jobType && (job.jobType || 'steamwebapi') !== jobType) {
-        continue;
-      }
-      if (!selected || (job.updatedAt ?? 0) > (selected.updatedAt ?? 0)) {
-        selected = job;
-      }
-    }
+  const provider = String(input.provider ?? '').trim() || DEFAULT_INVENTORY_PROVIDER;
+  if (!INVENTORY_PROVIDERS.has(provider)) {
+    return { error: `Provedor de inventário desconhecido: ${provider}.` };
   }
-  return selected;
+
+  const currency = normalizeCurrencyCode(input.currency) || DEFAULT_CURRENCY;
+  if (!isSupportedCurrency(currency)) {
+    return { error: `Moeda não suportada: ${currency}.` };
+  }
+
+  const webhookUrl = String(input.webhookUrl ?? '').trim();
+  if (webhookUrl && !isValidWebhookUrl(webhookUrl)) {
+    return { error: 'Informe uma URL de webhook válida ou deixe o campo em branco.' };
+  }
+
+  const { filters, error } = normalizeJobFilters(input.filters);
+  if (error) {
+    return { error };
+  }
+
+  const now = new Date().toISOString();
+  return {
+    preset: {
+      id: existing?.id || randomUUID(),
+      name,
+      provider,
+      filters,
+      webhookUrl,
+      currency,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    },
+  };
 }
 
-function createJob() {
-  const id = randomUUID();
-  const now = Date.now();
-  const job = {
-    id,
-    status: 'pending',
-    logs: [],
-    result: null,
-    clients: new Set(),
-    queue: [],
-    currentIndex: 0,
-    results: [],
-    totalUnique: 0,
-    paused: false,
-    webhookUrl: process.env.NOTIFY_WEBHOOK_URL || null,
-    timer: null,
-    startedAt: null,
-    updatedAt: now,
-    requestedIds: [],
-    baseUrl: normalizeBaseUrl(APP_BASE_URL),
-    stopRequested: false,
-    manualStopReason: null,
-    jobType: 'steamwebapi',
+function describePreset(preset) {
+  // Versão pública (sem a URL do webhook) usada pelos seletores das abas de análise.
+  const provider = INVENTORY_PROVIDERS.get(preset.provider);
+  return {
+    id: preset.id,
+    name: preset.name,
+    provider: preset.provider,
+    providerLabel: provider?.label || preset.provider,
+    currency: preset.currency,
+    filters: preset.filters,
+    hasWebhook: Boolean(preset.webhookUrl),
+    summary: describeJobFilters({ ...DEFAULT_JOB_FILTERS, ...preset.filters }, preset.currency),
   };
-  jobs.set(id, job);
-  return job;
 }
 
-function broadcast(job, event, payload) {
-  const data = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
-  for (const client of job.clients) {
-    client.write(data);
+// ----------------- Pré-carregamento em lote (Steam) -----------------
+// GetPlayerSummaries e GetPlayerBans aceitam 100 IDs por chamada: a fila do job é consultada em
+// fatias e cada worker só faz a chamada individual de inventário (e nível).
+const STEAM_PREFETCH_BATCH_SIZE = PLAYER_SUMMARIES_CHUNK_SIZE;
+
+function getSteamPrefetchCache(job) {
+  if (!job.steamPrefetch) {
+    job.steamPrefetch = { summaries: new Map(), bans: new Map(), batches: new Map() };
   }
+  return job.steamPrefetch;
 }
 
-function appendLog(jobId, msg, type = 'info', steamId = null) {
-  const job = jobs.get(jobId);
-  if (!job) return;
-  const prefix = steamId ? `[ID ${steamId}]` : '[GERAL]';
-  const log = { message: `${prefix} ${msg}`, type, timestamp: Date.now() };
-  job.logs.push(log);
-  if (job.logs.length > 1000) {
-    job.logs.shift();
+function prefetchSteamBatch(job, batchStart, fromIndex = batchStart) {
+  const cache = getSteamPrefetchCache(job);
+  const batchEnd = Math.min(batchStart + STEAM_PREFETCH_BATCH_SIZE, job.queue.length);
+  // A fila cresce nas novas tentativas; a chave inclui o fim para cobrir os IDs acrescentados.
+  const key = `${batchStart}:${batchEnd}`;
+  if (cache.batches.has(key)) {
+    return cache.batches.get(key);
   }
-  job.updatedAt = Date.now();
-  broadcast(job, 'log', log);
-  console.log(`[JOB ${jobId}] ${log.message}`);
+
+  // Fatias já despachadas por completo (ou substituídas após a fila crescer) saem do mapa;
+  // quem ainda espera por elas mantém a própria promise.
+  for (const existingKey of cache.batches.keys()) {
+    const [existingStart, existingEnd] = existingKey.split(':').map(Number);
+    if (existingEnd <= job.currentIndex || (existingStart === batchStart && existingEnd < batchEnd)) {
+      cache.batches.delete(existingKey);
+    }
+  }
+
+  // Índices antes de fromIndex já consumiram os dados pré-carregados e não são consultados de novo.
+  const firstPending = Math.max(fromIndex, job.nextResultIndex || 0);
+  const ids = job.queue
+    .slice(firstPending, batchEnd)
+    .filter((id) => !cache.summaries.has(id) || !cache.bans.has(id));
+
+  const task = (async () => {
+    if (!ids.length) {
+      return;
+    }
+    const [summaries, bans] = await Promise.all([fetchPlayerSummaries(ids), fetchPlayerBans(ids)]);
+    for (const [id, summary] of summaries) {
+      cache.summaries.set(id, summary);
+    }
+    for (const [id, banInfo] of bans) {
+      cache.bans.set(id, banInfo);
+    }
+  })().catch((error) => {
+    console.warn('Não foi possível pré-carregar resumos e banimentos da Steam.', error);
+  });
+
+  cache.batches.set(key, task);
+  return task;
 }
 
-function scheduleCleanup(jobId) {
-  const job = jobs.get(jobId);
-  if (!job) return;
-  setTimeout(() => {
-    const activeJob = jobs.get(jobId);
-    if (activeJob && activeJob.clients.size === 0) {
-      jobs.delete(jobId);
+async function takePrefetchedSteamData(job, index) {
+  const batchStart = index - (index % STEAM_PREFETCH_BATCH_SIZE);
+  const current = prefetchSteamBatch(job, batchStart, index);
+
+  const nextBatchStart = batchStart + STEAM_PREFETCH_BATCH_SIZE;
+  if (index - batchStart >= STEAM_PREFETCH_BATCH_SIZE / 2 && nextBatchStart < job.queue.length) {
+    prefetchSteamBatch(job, nextBatchStart);
+  }
+
+  await current;
+
+  // Cada ID é consumido uma vez; em uma nova tentativa os dados são buscados de novo.
+  const steamId = job.queue[index];
+  const cache = getSteamPrefetchCache(job);
+  const prefetched = {
+    summary: cache.summaries.get(steamId),
+    bans: cache.bans.get(steamId),
+  };
+  cache.summaries.delete(steamId);
+  cache.bans.delete(steamId);
+  return prefetched;
+}
+
+// ----------------- Execução em paralelo -----------------
+async function processProfile(job, index) {
+  const steamId = job.queue[index];
+  let prefetched = await takePrefetchedSteamData(job, index);
+  for (;;) {
+    // Depois de um pedido de encerramento o perfil não espera mais: o circuito aberto vira falha comum.
+    const deferOnCircuitOpen = !job.stopRequested && job.status === 'processing';
+    try {
+      return await evaluateProfile(job, steamId, prefetched, { deferOnCircuitOpen });
+    } catch (error) {
+      if (!deferOnCircuitOpen || !isCircuitOpenError(error)) {
+        throw error;
+      }
+      const waitMs = Math.max(error.retryAt - Date.now(), UPSTREAM_BACKOFF_BASE_MS);
+      appendLog(job.id, `${error.message} Nova tentativa em ${Math.ceil(waitMs / 1000)}s.`, 'warn', steamId);
+      await sleep(waitMs);
+      prefetched = {};
     }
-  }, JOB_RETENTION_MS);
+  }
 }
 
-// ----------------- Funções principais -----------------
-const STAGE_LABELS = {
-  started: 'iniciado',
-  paused: 'pausado',
-  resumed: 'retomado',
-  partial: 'prévia disponível',
-  completed: 'concluído',
-  failed: 'falhou',
-  high_value_profile: 'inventário premium',
-  cancelled: 'encerrado manualmente',
-};
+async function evaluateProfile(job, steamId, prefetched, { deferOnCircuitOpen }) {
+  const jobId = job.id;
+  const profile = await fetchSteamProfile(jobId, steamId, prefetched, { deferOnCircuitOpen });
 
-const STAGE_BUILDERS = {
-  started: (job, extra = {}) => ({
-    titulo: '🚀 Monitoramento iniciado',
-    mensagem: `Analisando ${extra.requested ?? job.totalUnique} perfis Steam.`,
-    detalhes: {
-      perfisSolicitados: extra.requested ?? job.totalUnique,
-    },
-  }),
-  paused: () => ({
-    titulo: '⏸️ Processamento pausado',
-    mensagem: 'A execução foi pausada manualmente e aguarda novas instruções.',
-  }),
-  resumed: () => ({
-    titulo: '▶️ Processamento retomado',
-    mensagem: 'Continuamos a avaliação do inventário exatamente de onde parou.',
-  }),
-  partial: (job, extra = {}) => ({
-    titulo: '📝 Prévia disponível',
-    mensagem: 'Uma prévia HTML foi gerada com o status parcial da execução.',
-    detalhes: {
-      resumo: extra.totals ?? buildTotals(job.results, job.totalUnique),
-    },
-  }),
-  completed: (job, extra = {}) => ({
-    titulo: '✅ Relatório concluído',
-    mensagem: 'O relatório completo de inventário está pronto para download.',
-    detalhes: {
-      resumo: extra.totals ?? buildTotals(job.results, job.totalUnique),
-      inventariosAvaliados: extra.successCount ?? null,
-    },
-  }),
-  failed: (job, extra = {}) => ({
-    titulo: '❌ Falha durante a execução',
-    mensagem: extra.error || 'O processamento foi interrompido por um erro inesperado.',
-  }),
-  high_value_profile: (_job, extra = {}) => {
-    const profile = extra.profile || {};
-    const nome = profile.name || 'Perfil Steam';
-    const valor = typeof profile.totalValueBRL === 'number'
-      ? `R$ ${profile.totalValueBRL.toFixed(2).replace('.', ',')}`
-      : 'valor não informado';
-    return {
-      titulo: '💎 Inventário premium encontrado',
-      mensagem: `${nome} possui inventário avaliado em ${valor}.`,
-      detalhes: {
-        perfilId: profile.id,
-        nome,
-        valorBRL: profile.totalValueBRL ?? null,
-        vacBanned: profile.vacBanned ?? false,
-      },
-    };
-  },
-  cancelled: (job, extra = {}) => ({
-    titulo: '⏹️ Processamento encerrado',
-    mensagem: extra.reason || 'O processamento foi finalizado manualmente pelo usuário.',
-    detalhes: {
-      resumo: extra.totals ?? buildTotals(job.results, job.totalUnique),
-      inventariosAvaliados: extra.successCount ?? null,
-    },
-  }),
-};
+  if (profile.status === 'ready') {
+    try {
+      const steamLevel = await fetchSteamLevelWithCache(steamId);
+      if (typeof steamLevel === 'number') {
+        profile.steamLevel = steamLevel;
+      }
+    } catch (error) {
+      console.warn(`Não foi possível consultar o nível da Steam para ${steamId}.`, error);
+    }
+  }
+
+  if (profile.status === 'ready' && applyProfileFilters(job, profile)) {
+    const providers = getJobProviderChain(job);
+    appendLog(
+      jobId,
+      `Perfil elegível (nível ${profile.steamLevel ?? 'N/D'}). Consultando inventário na ${providers[0].label}…`,
+      'info',
+      steamId,
+    );
+    await evaluateInventory(jobId, providers, profile, { deferOnCircuitOpen });
+    if (profile.status === 'success' && applyInventoryFilters(job, profile)) {
+      notifyHighValueProfile(job, profile);
+    }
+  }
 
-function buildWebhookPayload(job, stage, extra = {}) {
-  const builder = STAGE_BUILDERS[stage];
-  const basePayload = builder
-    ? builder(job, extra)
-    : {
-        titulo: 'Atualização do processamento',
-        mensagem: `Uma nova etapa foi registrada para o job ${job.id}.`,
-        detalhes: extra,
-      };
+  return profile;
+}
 
-  const payload = {
-    jobId: job.id,
-    etapaCodigo: stage,
-    etapa: STAGE_LABELS[stage] || stage,
-    horario: new Date().toISOString(),
-    ...basePayload,
-  };
+function detachProfileItems(job, profiles) {
+  try {
+    storeJobProfileItems(job, profiles);
+  } catch (error) {
+    console.error('Falha ao gravar os itens dos perfis no banco de dados:', error);
+  }
+  for (const profile of profiles) {
+    if (Array.isArray(profile?.items)) {
+      profile.itemCount = countInventoryItems(profile.items);
+      delete profile.items;
+    }
+  }
+}
 
-  const shareLink = buildJobShareLink(job);
-  if (shareLink) {
-    payload.linkAcompanhamento = shareLink;
+async function flushCompletedProfiles(job) {
+  // Os workers terminam fora de ordem; os resultados entram em job.results na ordem da fila.
+  const flushed = [];
+  while (job.completedProfiles.has(job.nextResultIndex)) {
+    const index = job.nextResultIndex;
+    const profile = job.completedProfiles.get(index);
+    job.completedProfiles.delete(index);
+    // Uma nova tentativa substitui o resultado com falha no mesmo lugar, sem duplicar o perfil.
+    const existingIndex = job.results.findIndex((result) => result.id === profile.id);
+    if (existingIndex === -1) {
+      job.results.push(profile);
+    } else {
+      job.results[existingIndex] = profile;
+    }
+    job.nextResultIndex += 1;
+    flushed.push(profile);
   }
 
-  return payload;
-}
+  if (!flushed.length) {
+    return;
+  }
+
+  job.updatedAt = Date.now();
+  detachProfileItems(job, flushed);
+  persistJob(job);
+
+  // Perfis com falha ficam fora do registro para poderem ser consultados de novo.
+  const succeededIds = flushed
+    .filter((profile) => !FAILED_PROFILE_STATUSES.has(profile.status))
+    .map((profile) => profile.id);
 
-async function notifyWebhook(job, stage, payload = {}) {
-  const url = job.webhookUrl || process.env.NOTIFY_WEBHOOK_URL;
-  if (!url) return;
-  const bodyPayload = buildWebhookPayload(job, stage, payload);
   try {
-    let r = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(bodyPayload),
+    await appendProcessedSteamIds(succeededIds);
+  } catch (error) {
+    console.error('Falha ao registrar SteamID processada:', error);
+  }
+
+  try {
+    recordProfileSnapshots(job, flushed);
+  } catch (error) {
+    console.error('Falha ao gravar o histórico dos perfis no banco de dados:', error);
+  }
+
+  for (const profile of flushed) {
+    broadcast(job, 'profile-processed', omitProfileItems(profile));
+  }
+}
+
+function scheduleNextDispatch(job) {
+  if (job.timer || job.paused || job.status !== 'processing') {
+    return;
+  }
+  job.timer = setTimeout(() => {
+    job.timer = null;
+    processNext(job.id).catch((error) => {
+      console.error('Falha ao processar próxima ID:', error);
+      failJob(job.id, 'Erro inesperado durante o processamento.');
     });
+  }, job.stopRequested ? 0 : PROCESS_DELAY_MS);
+}
 
-    if (r.status === 415) {
-      const fallbackBody = new URLSearchParams({ payload: JSON.stringify(bodyPayload) }).toString();
-      r = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: fallbackBody,
-      });
-    }
+async function runWorker(job, index) {
+  let profile;
+  try {
+    profile = await processProfile(job, index);
+  } finally {
+    job.activeWorkers = Math.max((job.activeWorkers || 0) - 1, 0);
+  }
 
-    if (!r.ok) {
-      throw new Error(`Webhook retornou ${r.status}`);
-    }
-  } catch (err) {
-    appendLog(job.id, `Falha webhook: ${err.message}`, 'warn');
+  if (job.status === 'complete' || job.status === 'error') {
+    return;
+  }
+
+  job.completedProfiles.set(index, profile);
+  await flushCompletedProfiles(job);
+
+  if (job.paused) {
+    return;
+  }
+
+  if (job.activeWorkers === 0 && (job.stopRequested || job.currentIndex >= job.queue.length)) {
+    await processNext(job.id);
+    return;
   }
+
+  scheduleNextDispatch(job);
 }
 
-async function finalizeJob(jobId, options = {}) {
+async function processNext(jobId) {
   const job = jobs.get(jobId);
-  if (!job || job.status === 'complete' || job.status === 'error') {
-    if (job) {
-      job.stopRequested = false;
-      job.manualStopReason = null;
+  if (!job || job.paused || job.status !== 'processing') {
+    return;
+  }
+
+  if (job.stopRequested) {
+    if (!job.activeWorkers) {
+      await finalizeJob(jobId, { manualStop: true, reason: job.manualStopReason });
     }
     return;
   }
 
-  const manualStop = Boolean(options.manualStop);
-  const manualReason = options.reason || null;
+  if (job.currentIndex >= job.queue.length) {
+    if (job.activeWorkers || job.retryScheduledAt) {
+      return;
+    }
+    if (job.autoRetryFailed && job.retryPass < MAX_AUTO_RETRY_PASSES && collectFailedSteamIds(job).length) {
+      scheduleFailedRetry(job, job.retryCooldownMs);
+      return;
+    }
+    await finalizeJob(jobId);
+    return;
+  }
 
-  if (job.timer) {
-    clearTimeout(job.timer);
-    job.timer = null;
+  const concurrency = resolveJobConcurrency(job.concurrency);
+  while (job.activeWorkers < concurrency && job.currentIndex < job.queue.length) {
+    const index = job.currentIndex++;
+    job.activeWorkers += 1;
+    runWorker(job, index).catch((error) => {
+      console.error('Falha ao processar SteamID:', error);
+      failJob(jobId, 'Erro inesperado durante o processamento.');
+    });
   }
+}
 
-  const payload = await buildReport(job, { partial: false });
-  const reportPath = await persistReportHtml(payload);
-  if (reportPath) {
-    payload.reportPath = reportPath;
-    appendLog(jobId, `Relatório HTML salvo em ${reportPath}.`);
-  } else {
-    appendLog(jobId, 'Não foi possível salvar o relatório HTML no disco.', 'warn');
+// ----------------- Nova tentativa de perfis com falha -----------------
+function collectFailedSteamIds(job) {
+  return Array.from(new Set(
+    (job?.results || [])
+      .filter((profile) => FAILED_PROFILE_STATUSES.has(profile.status))
+      .map((profile) => profile.id),
+  ));
+}
+
+function clearFailedRetry(job) {
+  if (job.retryTimer) {
+    clearTimeout(job.retryTimer);
+    job.retryTimer = null;
   }
+  job.retryScheduledAt = null;
+}
 
-  const enrichedPayload = { ...payload, manualStop, manualStopReason: manualReason };
+// O início do job filho fica em job.scheduledStart (persistido) para sobreviver a um reinício.
+function scheduleChildJobStart(child) {
+  const { at, steamIds, webhookUrl, options } = child.scheduledStart;
+  if (child.startTimer) {
+    clearTimeout(child.startTimer);
+  }
+  child.startTimer = setTimeout(() => {
+    child.startTimer = null;
+    child.scheduledStart = null;
+    if (jobs.get(child.id) !== child || child.status !== 'pending') {
+      return;
+    }
+    startJob(child.id, steamIds, webhookUrl, options);
+  }, Math.max(at - Date.now(), 0));
+  persistJob(child, { immediate: true });
+}
 
-  if (manualStop) {
-    appendLog(jobId, 'Processamento encerrado manualmente. Relatório consolidado com os dados disponíveis.', 'warn');
+function requeueFailedProfiles(job) {
+  // Perfis já na fila (ou em andamento) não entram de novo; o resultado antigo permanece até ser substituído.
+  const pendingIds = new Set(job.queue.slice(job.nextResultIndex));
+  const failedIds = collectFailedSteamIds(job).filter((steamId) => !pendingIds.has(steamId));
+  job.retryScheduledAt = null;
+  if (!failedIds.length) {
+    return 0;
   }
 
-  job.status = 'complete';
-  job.stopRequested = false;
-  job.manualStopReason = null;
-  job.result = { ...enrichedPayload, logs: job.logs, shareLink: buildJobShareLink(job) };
-  job.timer = null;
+  job.queue.push(...failedIds);
+  job.retryPass += 1;
   job.updatedAt = Date.now();
-  job.finishedAt = job.updatedAt;
-
-  broadcast(job, 'complete', job.result);
-  broadcast(job, 'end', { ok: true, manualStop });
 
-  await appendHistoryEntry(enrichedPayload);
+  appendLog(
+    job.id,
+    `Nova tentativa ${job.retryPass}: ${failedIds.length} perfil(is) com falha voltaram para a fila.`,
+    'warn',
+  );
+  broadcast(job, 'job-retry', { pass: job.retryPass, steamIds: failedIds });
+  return failedIds.length;
+}
 
-  const webhookStage = manualStop ? 'cancelled' : 'completed';
-  notifyWebhook(job, webhookStage, {
-    totals: payload.totals,
-    successCount: payload.successCount,
-    reason: manualReason,
-  });
+function scheduleFailedRetry(job, cooldownMs) {
+  if (job.retryTimer) {
+    clearTimeout(job.retryTimer);
+  }
 
-  scheduleCleanup(jobId);
+  const delay = Math.max(cooldownMs, 0);
+  job.retryScheduledAt = Date.now() + delay;
+  job.retryTimer = setTimeout(() => {
+    job.retryTimer = null;
+    if (job.status !== 'processing' && job.status !== 'paused') {
+      return;
+    }
+    requeueFailedProfiles(job);
+    persistJob(job, { immediate: true });
+    processNext(job.id).catch((error) => {
+      console.error('Falha ao reprocessar perfis com falha:', error);
+      failJob(job.id, 'Erro inesperado durante o processamento.');
+    });
+  }, delay);
+
+  appendLog(
+    job.id,
+    `Perfis com falha serão consultados novamente em ${Math.round(delay / 1000)}s.`,
+    'info',
+  );
+  persistJob(job, { immediate: true });
 }
 
-function failJob(jobId, msg) {
+async function startJob(jobId, ids, webhookUrl, options = {}) {
   const job = jobs.get(jobId);
   if (!job) return;
-  job.status = 'error';
-  job.result = { error: msg, logs: job.logs, shareLink: buildJobShareLink(job) };
-  job.timer = null;
-  job.updatedAt = Date.now();
+
+  job.queue = [...new Set(ids.map((value) => value.trim()).filter(Boolean))];
+  job.requestedIds = [...job.queue];
+  job.totalUnique = job.queue.length;
+  job.currentIndex = 0;
+  job.results = [];
+  job.logs = [];
+  job.paused = false;
+  job.status = 'processing';
+  job.startedAt = Date.now();
+  job.updatedAt = job.startedAt;
+  job.webhookUrl = webhookUrl || job.webhookUrl;
+  job.skippedSteamIds = Array.isArray(options.skippedSteamIds)
+    ? options.skippedSteamIds
+    : [];
   job.stopRequested = false;
   job.manualStopReason = null;
-  broadcast(job, 'job-error', { error: msg, shareLink: buildJobShareLink(job) });
-  broadcast(job, 'end', { ok: false });
-  notifyWebhook(job, 'failed', { error: msg });
-  scheduleCleanup(jobId);
+  job.concurrency = resolveJobConcurrency(options.concurrency, job.concurrency || DEFAULT_JOB_CONCURRENCY);
+  job.activeWorkers = 0;
+  job.completedProfiles = new Map();
+  job.steamPrefetch = null;
+  job.nextResultIndex = 0;
+  job.autoRetryFailed = Boolean(options.autoRetryFailed);
+  job.retryCooldownMs = resolveRetryCooldownMs(options.retryCooldownSeconds);
+  job.retryPass = 0;
+  job.retryScheduledAt = null;
+  job.parentJobId = options.parentJobId || null;
+  job.filters = options.filters || job.filters || { ...DEFAULT_JOB_FILTERS };
+  job.highValueTiers = options.highValueTiers || job.highValueTiers || null;
+
+  persistJob(job, { immediate: true });
+
+  appendLog(jobId, `Processando ${job.totalUnique} SteamIDs com ${job.concurrency} worker(s) em paralelo...`);
+  if (job.preset) {
+    appendLog(jobId, `Preset aplicado: ${job.preset.name}.`, 'info');
+  }
+  appendLog(jobId, `Filtros do job: ${describeJobFilters(getJobFilters(job), job.currency)}.`, 'info');
+  if (job.skippedSteamIds.length) {
+    const preview = job.skippedSteamIds.slice(0, 5).join(', ');
+    appendLog(
+      jobId,
+      `${job.skippedSteamIds.length} SteamIDs já processadas foram ignoradas automaticamente.` +
+        (job.skippedSteamIds.length > 5 ? ` Exemplos: ${preview}...` : ` (${preview})`),
+      'warn',
+    );
+  }
+  notifyWebhook(job, 'started', { requested: job.totalUnique });
+
+  processNext(jobId).catch((error) => {
+    console.error('Falha ao iniciar processamento:', error);
+    failJob(jobId, 'Erro inesperado durante o processamento.');
+  });
 }
 
-// ----------------- API Steam / Montuga -----------------
-async function fetchSteamProfile(jobId, steamId) {
-  const info = {
-    id: steamId,
-    name: 'N/A',
-    vacBanned: false,
-    gameBans: 0,
-    status: 'ready',
-    personaState: null,
-    personaStateLabel: 'Desconhecido',
-    inGame: false,
-    currentGame: null,
-    steamLevel: null,
-    statusReason: null,
-  };
-  try {
-    const summaryResponse = await fetch(`${STEAM_API_BASE_URL}ISteamUser/GetPlayerSummaries/v0002/?key=${STEAM_API_KEY}&steamids=${steamId}`);
-    if (!summaryResponse.ok) {
-      throw new Error(`Steam retornou ${summaryResponse.status}`);
+// ----------------- Exportação de resultados -----------------
+// CSV/JSON/NDJSON com todos os campos dos perfis (exceto a lista de itens, que vira itemCount).
+// As colunas conhecidas vêm primeiro; campos extras entram depois, em ordem alfabética.
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+const EXPORT_LEADING_COLUMNS = [
+  'id', 'name', 'profileUrl', 'status', 'statusReason', 'statusReasonCode', 'steamLevel', 'personaState',
+  'personaStateLabel', 'inGame', 'currentGame', 'lastLogoff', 'vacBanned', 'gameBans', 'currency', 'totalValue',
+  'totalValueBRL', 'caseValue', 'caseValueBRL', 'caseCount', 'casePercentage', 'filterCategory',
+  'filterPercentage', 'highValueTier', 'highValueTierLabel', 'priceSource', 'priceSourceLabel', 'priceCurrency',
+  'exchangeRate', 'itemCount',
+];
+
+function parseExportStatusFilter(value) {
+  const statuses = String(value ?? '')
+    .split(/[\s,;]+/)
+    .map((status) => status.trim())
+    .filter(Boolean);
+  return statuses.length ? new Set(statuses) : null;
+}
+
+function buildExportProfiles(results, statusFilter) {
+  return (Array.isArray(results) ? results : [])
+    .filter((profile) => !statusFilter || statusFilter.has(profile?.status))
+    .map((profile) => ({ ...omitProfileItems(profile), profileUrl: steamProfileUrl(profile.id) }));
+}
+
+function collectExportColumns(profiles) {
+  const extra = new Set();
+  for (const profile of profiles) {
+    for (const key of Object.keys(profile)) {
+      if (!EXPORT_LEADING_COLUMNS.includes(key)) extra.add(key);
     }
-    const summaryData = await summaryResponse.json();
-    const profile = summaryData?.response?.players?.[0];
-    const personaDetails = describePersonaState(profile);
-    const realName = typeof profile?.realname === 'string' ? profile.realname.trim() : '';
-    if (realName) {
-      info.name = realName;
-    } else if (profile?.personaname) {
-      info.name = profile.personaname;
+  }
+  return [...EXPORT_LEADING_COLUMNS, ...Array.from(extra).sort()];
+}
+
+function formatCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Evita que planilhas interpretem textos vindos da Steam como fórmulas.
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildResultsCsv(profiles) {
+  const columns = collectExportColumns(profiles);
+  const lines = [columns.join(',')];
+  for (const profile of profiles) {
+    lines.push(columns.map((column) => formatCsvCell(profile[column])).join(','));
+  }
+  // BOM para o Excel abrir acentos corretamente.
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+function sendResultsExport(res, { format, baseName, profiles, meta }) {
+  const descriptor = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', descriptor.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}.${descriptor.extension}"`);
+
+  if (format === 'csv') {
+    return res.send(buildResultsCsv(profiles));
+  }
+  if (format === 'xlsx') {
+    return res.send(buildResultsXlsx(profiles, meta));
+  }
+  if (format === 'ndjson') {
+    return res.send(profiles.map((profile) => JSON.stringify(profile)).join('\n') + (profiles.length ? '\n' : ''));
+  }
+  return res.send(JSON.stringify({ ...meta, count: profiles.length, results: profiles }, null, 2));
+}
+
+// ----------------- Planilha XLSX -----------------
+// O arquivo .xlsx é um zip de partes XML (SpreadsheetML). Tudo é montado aqui mesmo: texto inline
+// nas células (sem sharedStrings), estilos fixos e um zip mínimo com deflate do zlib.
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toDosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+function buildZip(files) {
+  // files: [{ name, data: Buffer | string }]
+  const { time, day } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf-8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf-8');
+    const compressed = deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    localParts.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    // Caracteres de controle não são válidos em XML 1.0.
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function xlsxColumnName(index) {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    name = String.fromCharCode(65 + rem) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+// Índices de cellXfs em XLSX_STYLES_XML.
+const XLSX_STYLE = { default: 0, header: 1, brl: 2, percent: 3, link: 4, number: 5, integer: 6 };
+
+const XLSX_STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+  <numFmts count="3">
+    <numFmt numFmtId="164" formatCode="&quot;R$&quot;\\ #,##0.00"/>
+    <numFmt numFmtId="165" formatCode="0.0&quot;%&quot;"/>
+    <numFmt numFmtId="166" formatCode="#,##0.00"/>
+  </numFmts>
+  <fonts count="3">
+    <font><sz val="11"/><name val="Calibri"/></font>
+    <font><b/><sz val="11"/><name val="Calibri"/></font>
+    <font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/></font>
+  </fonts>
+  <fills count="3">
+    <fill><patternFill patternType="none"/></fill>
+    <fill><patternFill patternType="gray125"/></fill>
+    <fill><patternFill patternType="solid"><fgColor rgb="FFE2E8F0"/><bgColor indexed="64"/></patternFill></fill>
+  </fills>
+  <borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+  <cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+  <cellXfs count="7">
+    <xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+    <xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>
+    <xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+    <xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+    <xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+    <xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+    <xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+  </cellXfs>
+  <cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+function buildXlsxCell(ref, cell) {
+  // cell: valor simples ou { value, style, link }
+  const spec = cell !== null && typeof cell === 'object' && !Array.isArray(cell) ? cell : { value: cell };
+  const { value } = spec;
+  const style = spec.style ?? XLSX_STYLE.default;
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined || value === '') {
+    return style ? `<c r="${ref}"${styleAttr}/>` : '';
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function buildXlsxSheet({ columns, rows }) {
+  // columns: [{ header, width }]; rows: listas de células
+  const links = [];
+  const headerCells = columns
+    .map((column, index) => buildXlsxCell(`${xlsxColumnName(index)}1`, { value: column.header, style: XLSX_STYLE.header }))
+    .join('');
+  const bodyRows = rows.map((row, rowIndex) => {
+    const rowNumber = rowIndex + 2;
+    const cells = row.map((cell, index) => {
+      const ref = `${xlsxColumnName(index)}${rowNumber}`;
+      if (cell && typeof cell === 'object' && cell.link) {
+        links.push({ ref, target: cell.link });
+      }
+      return buildXlsxCell(ref, cell);
+    }).join('');
+    return `<row r="${rowNumber}">${cells}</row>`;
+  }).join('');
+
+  const cols = columns
+    .map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${column.width || 14}" customWidth="1"/>`)
+    .join('');
+  const hyperlinks = links.length
+    ? `<hyperlinks>${links.map((link, index) => `<hyperlink ref="${link.ref}" r:id="rId${index + 1}"/>`).join('')}</hyperlinks>`
+    : '';
+
+  const xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+  <cols>${cols}</cols>
+  <sheetData><row r="1">${headerCells}</row>${bodyRows}</sheetData>
+  ${hyperlinks}
+</worksheet>`;
+
+  const rels = links.length
+    ? `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${links
+      .map((link, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(link.target)}" TargetMode="External"/>`)
+      .join('')}</Relationships>`
+    : null;
+
+  return { xml, rels };
+}
+
+function buildXlsxWorkbook(sheets) {
+  // sheets: [{ name, columns, rows }]
+  const files = [];
+  const sheetEntries = sheets.map((sheet, index) => {
+    // Nomes de aba: até 31 caracteres, sem []:*?/\
+    const name = String(sheet.name).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+    const { xml, rels } = buildXlsxSheet(sheet);
+    files.push({ name: `xl/worksheets/sheet${index + 1}.xml`, data: xml });
+    if (rels) {
+      files.push({ name: `xl/worksheets/_rels/sheet${index + 1}.xml.rels`, data: rels });
+    }
+    return { name, index: index + 1 };
+  });
+
+  files.unshift(
+    {
+      name: '[Content_Types].xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+  <Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+  ${sheetEntries.map((sheet) => `<Override PartName="/xl/worksheets/sheet${sheet.index}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n  ')}
+</Types>`,
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <sheets>${sheetEntries.map((sheet) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${sheet.index}" r:id="rId${sheet.index}"/>`).join('')}</sheets>
+</workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  ${sheetEntries.map((sheet) => `<Relationship Id="rId${sheet.index}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${sheet.index}.xml"/>`).join('\n  ')}
+  <Relationship Id="rId${sheetEntries.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`,
+    },
+    { name: 'xl/styles.xml', data: XLSX_STYLES_XML },
+  );
+
+  return buildZip(files);
+}
+
+const XLSX_STATUS_SHEETS = [
+  { name: 'Aprovados', matches: (status) => status === 'success' },
+  { name: 'Filtrados caixas', matches: (status) => status === 'low_case_ratio' },
+  { name: 'Filtrados job', matches: (status) => status === 'filtered' },
+  { name: 'VAC ban', matches: (status) => status === 'vac_banned' },
+  { name: 'Erros', matches: (status) => FAILED_PROFILE_STATUSES.has(status) },
+];
+
+const XLSX_PROFILE_COLUMNS = [
+  { header: 'Steam ID', width: 22, cell: (profile) => ({ value: profile.id, style: XLSX_STYLE.link, link: steamProfileUrl(profile.id) }) },
+  { header: 'Nome', width: 24, cell: (profile) => profile.name },
+  { header: 'Status', width: 22, cell: (profile) => formatStatusLabel(profile) },
+  { header: 'Motivo', width: 40, cell: (profile) => profile.statusReason },
+  { header: 'Código do motivo', width: 24, cell: (profile) => profile.statusReasonCode },
+  { header: 'Nível', width: 8, cell: (profile) => ({ value: profile.steamLevel, style: XLSX_STYLE.integer }) },
+  { header: 'Status Steam', width: 18, cell: (profile) => profile.personaStateLabel },
+  { header: 'VAC ban', width: 9, cell: (profile) => (profile.vacBanned ? 'Sim' : 'Não') },
+  { header: 'Game bans', width: 10, cell: (profile) => ({ value: profile.gameBans ?? 0, style: XLSX_STYLE.integer }) },
+  { header: 'Moeda', width: 8, cell: (profile) => profile.currency },
+  { header: 'Valor total (moeda)', width: 18, cell: (profile) => ({ value: profile.totalValue, style: XLSX_STYLE.number }) },
+  { header: 'Valor total (BRL)', width: 18, cell: (profile) => ({ value: profile.totalValueBRL, style: XLSX_STYLE.brl }) },
+  { header: 'Valor em caixas (BRL)', width: 20, cell: (profile) => ({ value: profile.caseValueBRL, style: XLSX_STYLE.brl }) },
+  { header: '% caixas', width: 10, cell: (profile) => ({ value: profile.casePercentage, style: XLSX_STYLE.percent }) },
+  { header: 'Faixa', width: 12, cell: (profile) => profile.highValueTierLabel },
+  { header: 'Fonte', width: 14, cell: (profile) => profile.priceSourceLabel },
+  { header: 'Itens', width: 8, cell: (profile) => ({ value: profile.itemCount, style: XLSX_STYLE.integer }) },
+];
+
+function buildResultsXlsx(profiles, meta) {
+  const totals = meta.totals || buildTotals(profiles, profiles.length);
+  const summaryRows = [
+    ['Job', meta.jobId],
+    ['Gerado em', meta.generatedAt || meta.exportedAt || new Date().toISOString()],
+    ['Moeda', meta.currency || BASE_CURRENCY],
+    ['IDs solicitadas', { value: totals.requested, style: XLSX_STYLE.integer }],
+    ['Processadas', { value: totals.processed, style: XLSX_STYLE.integer }],
+    ['Aprovadas', { value: totals.clean, style: XLSX_STYLE.integer }],
+    ['Filtradas (caixas)', { value: totals.lowCaseRatio, style: XLSX_STYLE.integer }],
+    ['Filtradas (filtros do job)', { value: totals.filtered ?? 0, style: XLSX_STYLE.integer }],
+    ['VAC ban bloqueados', { value: totals.vacBanned, style: XLSX_STYLE.integer }],
+    ['Falhas Steam', { value: totals.steamErrors, style: XLSX_STYLE.integer }],
+    ['Falhas inventário', { value: totals.inventoryErrors, style: XLSX_STYLE.integer }],
+    ['Falhas Montuga', { value: totals.montugaErrors, style: XLSX_STYLE.integer }],
+    ['Pendentes', { value: totals.pending, style: XLSX_STYLE.integer }],
+    ...Object.entries(totals.highValueTiers || {}).map(([tier, count]) => [`Faixa ${tier}`, { value: count, style: XLSX_STYLE.integer }]),
+    [
+      'Valor total aprovado (BRL)',
+      {
+        value: profiles
+          .filter((profile) => profile.status === 'success')
+          .reduce((sum, profile) => sum + (Number(profile.totalValueBRL) || 0), 0),
+        style: XLSX_STYLE.brl,
+      },
+    ],
+  ];
+  if (meta.statusFilter) {
+    summaryRows.push(['Filtro de status', meta.statusFilter.join(', ')]);
+  }
+
+  const sheets = [
+    { name: 'Resumo', columns: [{ header: 'Indicador', width: 30 }, { header: 'Valor', width: 40 }], rows: summaryRows },
+  ];
+  for (const statusSheet of XLSX_STATUS_SHEETS) {
+    const sheetProfiles = profiles.filter((profile) => statusSheet.matches(profile.status));
+    sheets.push({
+      name: statusSheet.name,
+      columns: XLSX_PROFILE_COLUMNS,
+      rows: sheetProfiles.map((profile) => XLSX_PROFILE_COLUMNS.map((column) => column.cell(profile))),
+    });
+  }
+
+  return buildXlsxWorkbook(sheets);
+}
+
+function resolveExportRequest(req) {
+  const format = String(req.query.format || 'csv').trim().toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `Formato de exportação não suportado: ${format}. Use ${Object.keys(EXPORT_FORMATS).join(', ')}.` };
+  }
+  return { format, statusFilter: parseExportStatusFilter(req.query.status) };
+}
+
+function buildExportFileStamp(value) {
+  const date = value ? new Date(value) : new Date();
+  return (Number.isNaN(date.getTime()) ? new Date() : date).toISOString().replace(/[:.]/g, '-');
+}
+
+// ----------------- Relatório PDF -----------------
+// PDF 1.4 montado à mão, sem navegador headless: usa as fontes padrão Helvetica (que todo leitor
+// já possui, então nada é embutido), texto em WinAnsi e o conteúdo de cada página comprimido com
+// deflate. Medidas em pontos, A4 paisagem.
+const PDF_PAGE_WIDTH = 842;
+const PDF_PAGE_HEIGHT = 595;
+const PDF_MARGIN = 36;
+const PDF_FOOTER_HEIGHT = 24;
+
+// Larguras (em milésimos de em) dos caracteres 32–126 das métricas AFM da Helvetica.
+const PDF_FONT_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556,
+    556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611,
+    611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+const PDF_SPECIAL_WIDTHS = new Map([['•', 350], ['—', 1000], ['–', 556], ['…', 1000], ['\u00a0', 278]]);
+
+// Caracteres da faixa 0x80–0x9F do WinAnsi, que não coincidem com o Latin-1.
+const PDF_WINANSI_EXTRAS = new Map([
+  ['€', 0x80], ['‚', 0x82], ['ƒ', 0x83], ['„', 0x84], ['…', 0x85], ['†', 0x86], ['‡', 0x87], ['ˆ', 0x88],
+  ['‰', 0x89], ['Š', 0x8a], ['‹', 0x8b], ['Œ', 0x8c], ['Ž', 0x8e], ['‘', 0x91], ['’', 0x92], ['“', 0x93],
+  ['”', 0x94], ['•', 0x95], ['–', 0x96], ['—', 0x97], ['˜', 0x98], ['™', 0x99], ['š', 0x9a], ['›', 0x9b],
+  ['œ', 0x9c], ['ž', 0x9e], ['Ÿ', 0x9f],
+]);
+
+const PDF_TEXT_REPLACEMENTS = { '≥': '>=', '≤': '<=', '→': '->', '\u202f': ' ', '\t': ' ' };
+
+function normalizePdfText(value) {
+  let text = '';
+  for (const char of String(value ?? '')) {
+    const replacement = PDF_TEXT_REPLACEMENTS[char];
+    if (replacement !== undefined) {
+      text += replacement;
+      continue;
     }
-    info.personaState = Number.isFinite(personaDetails.code) ? personaDetails.code : null;
-    info.personaStateLabel = personaDetails.label;
-    info.inGame = Boolean(personaDetails.inGame);
-    info.currentGame = personaDetails.game;
-    if (typeof profile?.lastlogoff === 'number') {
-      info.lastLogoff = profile.lastlogoff;
+    const code = char.codePointAt(0);
+    if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff) || PDF_WINANSI_EXTRAS.has(char)) {
+      text += char;
+      continue;
     }
-  } catch (error) {
-    info.status = 'steam_error';
-    info.statusReason = 'Falha ao consultar perfil na Steam.';
-    appendLog(jobId, `Erro perfil: ${error.message}`, 'error', steamId);
-    return info;
+    // Sem glifo nas fontes padrão: tenta a letra base (ex.: "ő" → "o") antes de desistir.
+    const base = char.normalize('NFD')[0];
+    text += base && base.codePointAt(0) >= 32 && base.codePointAt(0) <= 126 ? base : code < 32 ? ' ' : '?';
   }
+  return text;
+}
 
-  try {
-    const bansResponse = await fetch(`${STEAM_API_BASE_URL}ISteamUser/GetPlayerBans/v1/?key=${STEAM_API_KEY}&steamids=${steamId}`);
-    if (bansResponse.ok) {
-      const bansData = await bansResponse.json();
-      const banInfo = bansData?.players?.[0];
-      if (banInfo) {
-        info.vacBanned = Boolean(banInfo.VACBanned);
-        info.gameBans = Number(banInfo.NumberOfGameBans || 0);
-      }
+function encodePdfString(value) {
+  let encoded = '';
+  for (const char of normalizePdfText(value)) {
+    const byte = PDF_WINANSI_EXTRAS.get(char) ?? char.codePointAt(0);
+    if (char === '(' || char === ')' || char === '\\') {
+      encoded += `\\${char}`;
+    } else if (byte > 126) {
+      encoded += `\\${byte.toString(8).padStart(3, '0')}`;
+    } else {
+      encoded += char;
     }
-  } catch (error) {
-    appendLog(jobId, `Não foi possível obter status VAC: ${error.message}`, 'warn', steamId);
   }
+  return `(${encoded})`;
+}
 
-  if (info.vacBanned || (info.gameBans ?? 0) > 0) {
-    info.status = 'vac_banned';
-    info.statusReason = 'Perfil bloqueado por VAC/Game Ban.';
-    appendLog(jobId, `Perfil bloqueado por VAC/GameBan (${info.gameBans} banimentos).`, 'warn', steamId);
-  } else {
-    appendLog(jobId, `Perfil localizado: ${info.name}`, 'info', steamId);
+function measurePdfText(text, size, bold = false) {
+  const widths = bold ? PDF_FONT_WIDTHS.bold : PDF_FONT_WIDTHS.regular;
+  let total = 0;
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code >= 32 && code <= 126) {
+      total += widths[code - 32];
+    } else if (PDF_SPECIAL_WIDTHS.has(char)) {
+      total += PDF_SPECIAL_WIDTHS.get(char);
+    } else {
+      const baseCode = char.normalize('NFD').codePointAt(0);
+      total += baseCode >= 32 && baseCode <= 126 ? widths[baseCode - 32] : 556;
+    }
   }
+  return (total * size) / 1000;
+}
 
-  return info;
+function fitPdfText(value, size, bold, maxWidth) {
+  let text = normalizePdfText(value);
+  if (measurePdfText(text, size, bold) <= maxWidth) {
+    return text;
+  }
+  while (text.length && measurePdfText(`${text}…`, size, bold) > maxWidth) {
+    text = text.slice(0, -1);
+  }
+  return `${text.trimEnd()}…`;
 }
 
-async function fetchSteamWebApiInventory(jobId, steamInfo) {
-  const params = new URLSearchParams({
-    key: STEAMWEBAPI_KEY,
-    steam_id: steamInfo.id,
-    game: 'cs2',
-    parse: '1',
-    currency: 'BRL',
-  });
-  try {
-    const response = await fetch(`${STEAMWEBAPI_BASE_URL}/inventory?${params.toString()}`);
-    if (!response.ok) {
-      throw new Error(`SteamWebAPI retornou ${response.status}`);
-    }
-    const raw = await response.json();
-    const items = Array.isArray(raw) ? raw : [];
-
-    let totalValue = 0;
-    let caseValue = 0;
-    let caseCount = 0;
-
-    for (const item of items) {
-      const price = Number(item?.pricelatest ?? item?.pricesafe ?? item?.priceavg ?? 0);
-      if (!Number.isFinite(price) || price < 0) continue;
-      totalValue += price;
-      if (item?.itemtype === 'case') {
-        caseValue += price;
-        caseCount++;
-      }
+function wrapPdfText(value, size, bold, maxWidth) {
+  const lines = [];
+  let current = '';
+  for (const word of normalizePdfText(value).split(/\s+/).filter(Boolean)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (measurePdfText(candidate, size, bold) <= maxWidth) {
+      current = candidate;
+      continue;
     }
+    if (current) lines.push(current);
+    current = fitPdfText(word, size, bold, maxWidth);
+  }
+  if (current) lines.push(current);
+  return lines;
+}
 
-    const casePercentage = totalValue > 0 ? (caseValue / totalValue) * 100 : 0;
+function pdfColor(hex) {
+  const value = Number.parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff].map((channel) => (channel / 255).toFixed(3)).join(' ');
+}
 
-    steamInfo.totalValueBRL = totalValue;
-    steamInfo.caseValueBRL = caseValue;
-    steamInfo.caseCount = caseCount;
-    steamInfo.casePercentage = casePercentage;
+// As funções de desenho recebem `top` medido a partir do topo da página, como no HTML; a conversão
+// para o eixo do PDF (origem no canto inferior esquerdo) fica concentrada aqui.
+function drawPdfText(page, value, x, top, { size = 9, bold = false, color = '#0f172a', width = null, align = 'left' } = {}) {
+  const text = width === null ? normalizePdfText(value) : fitPdfText(value, size, bold, width);
+  const offset = align === 'right' && width !== null ? width - measurePdfText(text, size, bold) : 0;
+  const baseline = PDF_PAGE_HEIGHT - top - size * 0.8;
+  page.ops.push(
+    `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${pdfColor(color)} rg ${(x + offset).toFixed(2)} ${baseline.toFixed(2)} Td ${encodePdfString(text)} Tj ET`,
+  );
+}
 
-    const threshold = getCaseThreshold();
-    if (casePercentage < threshold) {
-      steamInfo.status = 'low_case_ratio';
-      steamInfo.statusReason = `Inventário filtrado: ${casePercentage.toFixed(1)}% em caixas (mínimo: ${threshold.toFixed(0)}%).`;
-      appendLog(jobId, `Filtrado: ${casePercentage.toFixed(1)}% em caixas (mínimo ${threshold.toFixed(0)}%). R$ ${totalValue.toFixed(2)} total.`, 'warn', steamInfo.id);
-    } else {
-      steamInfo.status = 'success';
-      steamInfo.statusReason = `Inventário avaliado. ${casePercentage.toFixed(1)}% em caixas.`;
-      appendLog(jobId, `Inventário: R$ ${totalValue.toFixed(2)} total | R$ ${caseValue.toFixed(2)} em caixas (${casePercentage.toFixed(1)}%)`, 'success', steamInfo.id);
-      if (totalValue >= HIGH_VALUE_THRESHOLD_BRL) {
-        appendLog(jobId, `Inventário premium identificado (≥ R$ ${HIGH_VALUE_THRESHOLD_BRL.toFixed(2)}).`, 'success', steamInfo.id);
-        const job = jobs.get(jobId);
-        if (job) notifyWebhook(job, 'high_value_profile', { profile: { ...steamInfo } });
-      }
-    }
-  } catch (error) {
-    steamInfo.status = 'inventory_error';
-    steamInfo.statusReason = 'Falha ao consultar a SteamWebAPI.';
-    appendLog(jobId, `Erro SteamWebAPI: ${error.message}`, 'error', steamInfo.id);
-  }
+function fillPdfRect(page, x, top, width, height, color) {
+  page.ops.push(`${pdfColor(color)} rg ${x.toFixed(2)} ${(PDF_PAGE_HEIGHT - top - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f`);
 }
 
-async function fetchMontugaInventory(jobId, steamInfo) {
-  const url = `${MONTUGA_BASE_URL}/${steamInfo.id}/${APP_ID}/total-value`;
-  try {
-    const response = await fetch(url, {
-      headers: {
-        'api-key': MONTUGA_API_KEY,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-      },
+function formatPdfDate(value) {
+  const date = new Date(value);
+  const iso = (Number.isNaN(date.getTime()) ? new Date() : date).toISOString();
+  return `D:${iso.slice(0, 19).replace(/[-T:]/g, '')}Z`;
+}
+
+function buildPdfDocument(pages, { title, createdAt }) {
+  const objects = [];
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = `<< /Title ${encodePdfString(title)} /Producer (Art Cases) /CreationDate (${formatPdfDate(createdAt)}) >>`;
+
+  pages.forEach((page, index) => {
+    const pageId = pageIds[index];
+    const content = deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'));
+    const annotations = page.links.map((link) => {
+      const bottom = PDF_PAGE_HEIGHT - link.top - link.height;
+      const rect = [link.x, bottom, link.x + link.width, bottom + link.height].map((n) => n.toFixed(2)).join(' ');
+      return `<< /Type /Annot /Subtype /Link /Border [0 0 0] /Rect [${rect}] /A << /S /URI /URI ${encodePdfString(link.url)} >> >>`;
     });
-    if (!response.ok) {
-      throw new Error(`Montuga retornou ${response.status}`);
-    }
-    const data = await response.json();
-    const totalUSD = Number(data?.total_value || 0);
-    const totalBRL = totalUSD * USD_TO_BRL_RATE;
-    steamInfo.totalValueBRL = totalBRL;
-    steamInfo.status = 'success';
-    steamInfo.statusReason = 'Inventário avaliado com sucesso pela Montuga.';
-    appendLog(jobId, `Inventário avaliado: R$ ${totalBRL.toFixed(2)}`, 'success', steamInfo.id);
-    if (totalBRL >= HIGH_VALUE_THRESHOLD_BRL) {
-      appendLog(jobId, `Inventário premium identificado (≥ R$ ${HIGH_VALUE_THRESHOLD_BRL.toFixed(2)}).`, 'success', steamInfo.id);
-      const job = jobs.get(jobId);
-      if (job) notifyWebhook(job, 'high_value_profile', { profile: { ...steamInfo } });
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] `
+      + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R`
+      + `${annotations.length ? ` /Annots [${annotations.join(' ')}]` : ''} >>`;
+    objects[pageId + 1] = Buffer.concat([
+      Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+      content,
+      Buffer.from('\nendstream'),
+    ]);
+  });
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let offset = chunks[0].length;
+  for (let id = 1; id < objects.length; id += 1) {
+    offsets.push(offset);
+    const body = Buffer.isBuffer(objects[id]) ? objects[id] : Buffer.from(objects[id], 'latin1');
+    const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+    chunks.push(chunk);
+    offset += chunk.length;
+  }
+
+  const xref = [
+    'xref',
+    `0 ${objects.length}`,
+    '0000000000 65535 f ',
+    ...offsets.map((position) => `${String(position).padStart(10, '0')} 00000 n `),
+  ].join('\n');
+  chunks.push(Buffer.from(`${xref}\ntrailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${offset}\n%%EOF\n`));
+  return Buffer.concat(chunks);
+}
+
+function buildPdfReportColumns(job, currency) {
+  const provider = getInventoryProvider(job.jobType);
+  return [
+    { header: '#', weight: 3, align: 'right', render: (profile, index) => String(index + 1) },
+    { header: 'Steam ID', weight: 15, link: true, render: (profile) => profile.id },
+    {
+      header: 'Apelido',
+      weight: 11,
+      render: (profile) => (profile.highValueTierLabel
+        ? `${profile.name ?? 'N/A'} [${profile.highValueTierLabel}]`
+        : profile.name ?? 'N/A'),
+    },
+    { header: 'Estado Steam', weight: 10, render: (profile) => formatPersonaLabel(profile) },
+    { header: 'Status', weight: 14, render: (profile) => formatStatusLabel(profile) },
+    { header: 'Nível', weight: 5, align: 'right', render: (profile) => (typeof profile.steamLevel === 'number' ? String(profile.steamLevel) : '—') },
+    { header: 'VAC ban', weight: 7, render: (profile) => (profile.vacBanned ? 'Sim' : 'Não') },
+    { header: 'Game bans', weight: 9, align: 'right', render: (profile) => String(profile.gameBans ?? 0) },
+    ...provider.reportColumns.map((column) => ({
+      header: column.money ? `${column.header} (${currency})` : column.header,
+      weight: column.money || column === REPORT_COLUMNS.lastLogin ? 13 : 9,
+      align: column.money || column === REPORT_COLUMNS.casePercentage ? 'right' : 'left',
+      render: (profile) => column.render(profile),
+    })),
+    { header: 'Fonte', weight: 11, render: (profile) => profile.priceSourceLabel || '—' },
+  ];
+}
+
+// Mesmo conteúdo do HTML de generateReportHtml: cabeçalho, filtros, blocos de resumo e a tabela dos
+// perfis aprovados na ordem do relatório (a lista de itens de cada perfil fica só no HTML).
+function generateReportPdf({ job, results, totals, partial, generatedAt }) {
+  const provider = getInventoryProvider(job.jobType);
+  const providerChain = getJobProviderChain(job);
+  const currency = job.currency || BASE_CURRENCY;
+  const title = partial ? 'Prévia parcial de inventário' : 'Relatório completo de inventário';
+  const contentWidth = PDF_PAGE_WIDTH - PDF_MARGIN * 2;
+  const contentBottom = PDF_PAGE_HEIGHT - PDF_MARGIN - PDF_FOOTER_HEIGHT;
+  const pages = [];
+  let page = null;
+  let cursor = 0;
+  const addPage = () => {
+    page = { ops: [], links: [] };
+    pages.push(page);
+    cursor = PDF_MARGIN;
+  };
+
+  addPage();
+  drawPdfText(page, provider.reportTag ? `${title} • ${provider.reportTag}` : title, PDF_MARGIN, cursor, {
+    size: 18,
+    bold: true,
+    width: contentWidth,
+  });
+  cursor += 28;
+
+  const metaParts = [`Gerado em ${currentDateTimeLabel(generatedAt)}`, `Job ${job.id}`];
+  if (providerChain.length > 1) {
+    metaParts.push(`Provedores: ${providerChain.map((candidate) => candidate.label).join(' → ')}`);
+  }
+  metaParts.push(`Moeda ${currency}`);
+  const headerLines = [
+    ...wrapPdfText(metaParts.join(' • '), 9, false, contentWidth),
+    ...wrapPdfText(`Filtros: ${describeJobFilters(getJobFilters(job), currency)}`, 9, false, contentWidth),
+  ];
+  for (const line of headerLines) {
+    drawPdfText(page, line, PDF_MARGIN, cursor, { size: 9, color: '#475569' });
+    cursor += 13;
+  }
+  cursor += 8;
+
+  const tiles = buildReportSummaryTiles(job, totals);
+  const tilesPerRow = 5;
+  const tileGap = 8;
+  const tileWidth = (contentWidth - tileGap * (tilesPerRow - 1)) / tilesPerRow;
+  const tileHeight = 38;
+  tiles.forEach((tile, index) => {
+    const column = index % tilesPerRow;
+    if (column === 0 && index > 0) {
+      cursor += tileHeight + tileGap;
     }
-  } catch (error) {
-    steamInfo.status = 'montuga_error';
-    steamInfo.statusReason = 'Falha ao consultar a Montuga API.';
-    appendLog(jobId, `Erro Montuga: ${error.message}`, 'error', steamInfo.id);
+    const x = PDF_MARGIN + column * (tileWidth + tileGap);
+    fillPdfRect(page, x, cursor, tileWidth, tileHeight, '#e2e8f0');
+    drawPdfText(page, tile.label, x + 8, cursor + 7, { size: 7.5, color: '#475569', width: tileWidth - 16 });
+    drawPdfText(page, String(tile.value ?? 0), x + 8, cursor + 19, { size: 13, bold: true, width: tileWidth - 16 });
+  });
+  cursor += tileHeight + 18;
+
+  const columns = buildPdfReportColumns(job, currency);
+  const totalWeight = columns.reduce((sum, column) => sum + column.weight, 0);
+  let columnX = PDF_MARGIN;
+  for (const column of columns) {
+    column.x = columnX;
+    column.width = (column.weight / totalWeight) * contentWidth;
+    columnX += column.width;
+  }
+  const cellPadding = 4;
+  const headerHeight = 18;
+  const rowHeight = 15;
+  const drawTableHeader = () => {
+    fillPdfRect(page, PDF_MARGIN, cursor, contentWidth, headerHeight, '#1e293b');
+    for (const column of columns) {
+      drawPdfText(page, column.header, column.x + cellPadding, cursor + 5, {
+        size: 7,
+        bold: true,
+        color: '#f8fafc',
+        width: column.width - cellPadding * 2,
+        align: column.align,
+      });
+    }
+    cursor += headerHeight;
+  };
+
+  drawTableHeader();
+  const successResults = results.filter((profile) => profile.status === 'success');
+  if (!successResults.length) {
+    drawPdfText(page, 'Nenhum perfil processado ainda.', PDF_MARGIN + cellPadding, cursor + 5, { size: 8, color: '#475569' });
   }
+  successResults.forEach((profile, index) => {
+    if (cursor + rowHeight > contentBottom) {
+      addPage();
+      drawTableHeader();
+    }
+    const background = profile.highValueTier ? '#fef3c7' : index % 2 === 0 ? '#f8fafc' : '#ffffff';
+    fillPdfRect(page, PDF_MARGIN, cursor, contentWidth, rowHeight, background);
+    for (const column of columns) {
+      drawPdfText(page, column.render(profile, index), column.x + cellPadding, cursor + 4, {
+        size: 8,
+        color: column.link ? '#1d4ed8' : '#0f172a',
+        width: column.width - cellPadding * 2,
+        align: column.align,
+      });
+      if (column.link) {
+        page.links.push({ x: column.x, top: cursor, width: column.width, height: rowHeight, url: steamProfileUrl(profile.id) });
+      }
+    }
+    cursor += rowHeight;
+  });
+
+  pages.forEach((currentPage, index) => {
+    const footerTop = PDF_PAGE_HEIGHT - PDF_MARGIN - 10;
+    drawPdfText(currentPage, 'Relatório gerado automaticamente por Art Cases.', PDF_MARGIN, footerTop, { size: 8, color: '#64748b' });
+    drawPdfText(currentPage, `Página ${index + 1} de ${pages.length}`, PDF_MARGIN, footerTop, {
+      size: 8,
+      color: '#64748b',
+      width: contentWidth,
+      align: 'right',
+    });
+  });
+
+  return buildPdfDocument(pages, { title: `${title} • Job ${job.id}`, createdAt: generatedAt });
 }
 
-// ----------------- Execução sequencial -----------------
-async function processNext(jobId) {
+// Fonte dos dados do relatório: o job em memória ou, quando ele já foi descartado (ou um registro
+// específico é pedido), o snapshot salvo no histórico.
+async function resolveReportSource(jobId, entryId = null, { withinWindow = true } = {}) {
   const job = jobs.get(jobId);
-  if (!job || job.paused || job.status !== 'processing') {
-    return;
+  if (job && !entryId) {
+    return {
+      job,
+      results: sortReportResults(job, job.results),
+      totals: buildTotals(job.results, job.totalUnique),
+      partial: job.status !== 'complete',
+      generatedAt: job.result?.generatedAt || new Date().toISOString(),
+    };
   }
 
-  if (job.stopRequested) {
-    await finalizeJob(jobId, { manualStop: true, reason: job.manualStopReason });
-    return;
+  const entry = findHistoryEntry({ jobId, entryId, requireResults: true, withinWindow });
+  if (!entry) {
+    return withinWindow || entryId ? null : resolveSnapshotSource(jobId);
   }
+  const snapshot = {
+    id: entry.jobId,
+    jobType: entry.jobType,
+    providerChain: entry.providerChain,
+    currency: entry.currency,
+    filters: entry.filters,
+    highValueTiers: entry.highValueTiers,
+  };
+  return {
+    job: snapshot,
+    results: sortReportResults(snapshot, entry.results),
+    totals: entry.totals || buildTotals(entry.results, entry.results.length),
+    partial: entry.partial,
+    generatedAt: entry.generatedAt,
+  };
+}
 
-  if (job.currentIndex >= job.queue.length) {
-    await finalizeJob(jobId);
-    return;
-  }
+// ----------------- Comparação entre execuções -----------------
+// Cruza dois jobs pelo SteamID: perfis novos, removidos, mudanças de status e variação de valor
+// (sempre em BRL, para que jobs em moedas diferentes sejam comparáveis).
+const COMPARISON_VALUE_FIELDS = ['totalValueBRL', 'caseValueBRL'];
+
+function readComparableValue(profile, field) {
+  const value = Number(profile?.[field]);
+  return profile && profile[field] !== null && profile[field] !== undefined && Number.isFinite(value) ? value : null;
+}
 
-  const steamId = job.queue[job.currentIndex++];
-  const profile = await fetchSteamProfile(jobId, steamId);
+function sumComparableValues(profiles, field) {
+  return profiles.reduce((sum, profile) => sum + (readComparableValue(profile, field) ?? 0), 0);
+}
 
-  if (profile.status === 'ready') {
-    try {
-      const steamLevel = await fetchSteamLevelWithCache(steamId);
-      if (typeof steamLevel === 'number') {
-        profile.steamLevel = steamLevel;
+function describeComparedProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name ?? null,
+    status: profile.status,
+    statusLabel: formatStatusLabel(profile),
+    totalValueBRL: readComparableValue(profile, 'totalValueBRL'),
+    caseValueBRL: readComparableValue(profile, 'caseValueBRL'),
+  };
+}
+
+function describeComparedRun(source) {
+  return {
+    jobId: source.job.id,
+    generatedAt: source.generatedAt,
+    partial: Boolean(source.partial),
+    fromSnapshots: Boolean(source.fromSnapshots),
+    profileCount: source.results.length,
+    totalValueBRL: sumComparableValues(source.results, 'totalValueBRL'),
+    caseValueBRL: sumComparableValues(source.results, 'caseValueBRL'),
+  };
+}
+
+function compareReportSources(baseSource, targetSource) {
+  const baseProfiles = new Map(baseSource.results.map((profile) => [profile.id, profile]));
+  const targetProfiles = new Map(targetSource.results.map((profile) => [profile.id, profile]));
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [steamId, targetProfile] of targetProfiles) {
+    const baseProfile = baseProfiles.get(steamId);
+    if (!baseProfile) {
+      added.push(describeComparedProfile(targetProfile));
+      continue;
+    }
+
+    const change = {
+      id: steamId,
+      name: targetProfile.name ?? baseProfile.name ?? null,
+      status: {
+        base: baseProfile.status,
+        target: targetProfile.status,
+        baseLabel: formatStatusLabel(baseProfile),
+        targetLabel: formatStatusLabel(targetProfile),
+        changed: baseProfile.status !== targetProfile.status,
+      },
+    };
+    let valueChanged = false;
+    for (const field of COMPARISON_VALUE_FIELDS) {
+      const before = readComparableValue(baseProfile, field);
+      const after = readComparableValue(targetProfile, field);
+      const delta = before !== null && after !== null ? after - before : null;
+      change[field] = { base: before, target: after, delta };
+      if ((delta !== null && Math.abs(delta) >= 0.01) || (before === null) !== (after === null)) {
+        valueChanged = true;
       }
-    } catch (error) {
-      console.warn(`Não foi possível consultar o nível da Steam para ${steamId}.`, error);
     }
-  }
+    change.valueChanged = valueChanged;
 
-  if (profile.status === 'ready') {
-    const apiName = job.jobType === 'montuga' ? 'Montuga' : 'SteamWebAPI';
-    appendLog(
-      jobId,
-      `Perfil elegível (nível ${profile.steamLevel ?? 'N/D'}). Consultando inventário na ${apiName}…`,
-      'info',
-      steamId,
-    );
-    if (job.jobType === 'montuga') {
-      await fetchMontugaInventory(jobId, profile);
+    if (change.status.changed || valueChanged) {
+      changed.push(change);
     } else {
-      await fetchSteamWebApiInventory(jobId, profile);
+      unchanged += 1;
     }
   }
-  job.results.push(profile);
-  job.updatedAt = Date.now();
 
-  if (job.stopRequested) {
-    await finalizeJob(jobId, { manualStop: true, reason: job.manualStopReason });
-    return;
+  for (const [steamId, baseProfile] of baseProfiles) {
+    if (!targetProfiles.has(steamId)) {
+      removed.push(describeComparedProfile(baseProfile));
+    }
   }
 
-  try {
-    await appendProcessedSteamIds([steamId]);
-  } catch (error) {
-    console.error('Falha ao registrar SteamID processada:', error);
-  }
+  const byValue = (a, b) => (b.totalValueBRL ?? -Infinity) - (a.totalValueBRL ?? -Infinity);
+  added.sort(byValue);
+  removed.sort(byValue);
+  changed.sort((a, b) => Math.abs(b.totalValueBRL.delta ?? 0) - Math.abs(a.totalValueBRL.delta ?? 0));
 
-  broadcast(job, 'profile-processed', profile);
+  const base = describeComparedRun(baseSource);
+  const target = describeComparedRun(targetSource);
+  return {
+    base,
+    target,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      statusChanged: changed.filter((change) => change.status.changed).length,
+      valueChanged: changed.filter((change) => change.valueChanged).length,
+      unchanged,
+      totalValueBRLDelta: target.totalValueBRL - base.totalValueBRL,
+      caseValueBRLDelta: target.caseValueBRL - base.caseValueBRL,
+    },
+    added,
+    removed,
+    changed,
+  };
+}
 
-  if (!job.paused && job.status === 'processing') {
-    job.timer = setTimeout(() => {
-      job.timer = null;
-      processNext(jobId).catch((error) => {
-        console.error('Falha ao processar próxima ID:', error);
-        failJob(jobId, 'Erro inesperado durante o processamento.');
-      });
-    }, PROCESS_DELAY_MS);
+function formatMoneyDelta(delta) {
+  if (typeof delta !== 'number') {
+    return '—';
   }
+  const formatted = formatMoney(Math.abs(delta), BASE_CURRENCY);
+  return delta > 0 ? `+${formatted}` : delta < 0 ? `−${formatted}` : formatted;
 }
 
-async function startJob(jobId, ids, webhookUrl, options = {}) {
-  const job = jobs.get(jobId);
-  if (!job) return;
+function deltaClass(delta) {
+  if (typeof delta !== 'number' || Math.abs(delta) < 0.01) return 'delta-neutral';
+  return delta > 0 ? 'delta-up' : 'delta-down';
+}
 
-  job.queue = [...new Set(ids.map((value) => value.trim()).filter(Boolean))];
-  job.requestedIds = [...job.queue];
-  job.totalUnique = job.queue.length;
-  job.currentIndex = 0;
-  job.results = [];
-  job.logs = [];
-  job.paused = false;
-  job.status = 'processing';
-  job.startedAt = Date.now();
-  job.updatedAt = job.startedAt;
-  job.webhookUrl = webhookUrl || job.webhookUrl;
-  job.skippedSteamIds = Array.isArray(options.skippedSteamIds)
-    ? options.skippedSteamIds
-    : [];
-  job.stopRequested = false;
-  job.manualStopReason = null;
+function renderComparedProfileLink(profile) {
+  return `<a href="${steamProfileUrl(profile.id)}" target="_blank" rel="noopener noreferrer" class="id-link">${escapeHtml(profile.id)}</a>`;
+}
 
-  appendLog(jobId, `Processando ${job.totalUnique} SteamIDs...`);
-  appendLog(jobId, 'Filtros automáticos desativados — todos os perfis serão analisados.', 'info');
-  if (job.skippedSteamIds.length) {
-    const preview = job.skippedSteamIds.slice(0, 5).join(', ');
-    appendLog(
-      jobId,
-      `${job.skippedSteamIds.length} SteamIDs já processadas foram ignoradas automaticamente.` +
-        (job.skippedSteamIds.length > 5 ? ` Exemplos: ${preview}...` : ` (${preview})`),
-      'warn',
-    );
-  }
-  notifyWebhook(job, 'started', { requested: job.totalUnique });
+function renderComparedStatus(status, label) {
+  return `<span class="status-badge ${statusBadgeClass(status)}">${escapeHtml(label)}</span>`;
+}
 
-  processNext(jobId).catch((error) => {
-    console.error('Falha ao iniciar processamento:', error);
-    failJob(jobId, 'Erro inesperado durante o processamento.');
-  });
+function renderComparedProfilesTable(profiles, emptyMessage) {
+  const rows = profiles.map((profile, index) => `
+      <tr class="${index % 2 === 0 ? 'row-odd' : 'row-even'}">
+        <td>${renderComparedProfileLink(profile)}</td>
+        <td>${escapeHtml(profile.name ?? 'N/A')}</td>
+        <td>${renderComparedStatus(profile.status, profile.statusLabel)}</td>
+        <td>${escapeHtml(formatMoney(profile.totalValueBRL, BASE_CURRENCY))}</td>
+        <td>${escapeHtml(formatMoney(profile.caseValueBRL, BASE_CURRENCY))}</td>
+      </tr>
+  `).join('');
+  return `
+          <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Steam ID</th>
+                  <th>Apelido</th>
+                  <th>Status</th>
+                  <th>Inventário (BRL)</th>
+                  <th>Valor Caixas (BRL)</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${rows || `<tr><td colspan="5">${escapeHtml(emptyMessage)}</td></tr>`}
+              </tbody>
+            </table>
+          </div>
+  `;
+}
+
+function generateComparisonHtml(comparison) {
+  const { base, target, summary } = comparison;
+  const describeRun = (run) => `Job ${run.jobId} (${currentDateTimeLabel(run.generatedAt)}${run.partial ? ', prévia' : ''}${run.fromSnapshots ? ', histórico de perfis' : ''})`;
+  const summaryTiles = [
+    { label: 'Perfis na base', value: base.profileCount },
+    { label: 'Perfis no alvo', value: target.profileCount },
+    { label: 'Novos perfis', value: summary.added },
+    { label: 'Perfis removidos', value: summary.removed },
+    { label: 'Mudanças de status', value: summary.statusChanged },
+    { label: 'Mudanças de valor', value: summary.valueChanged },
+    { label: 'Δ Inventário (BRL)', value: formatMoneyDelta(summary.totalValueBRLDelta), className: deltaClass(summary.totalValueBRLDelta) },
+    { label: 'Δ Caixas (BRL)', value: formatMoneyDelta(summary.caseValueBRLDelta), className: deltaClass(summary.caseValueBRLDelta) },
+  ].map((tile) => `
+    <div class="summary-tile">
+      <span class="summary-label">${escapeHtml(tile.label)}</span>
+      <span class="summary-value ${tile.className || ''}">${escapeHtml(String(tile.value))}</span>
+    </div>
+  `).join('');
+
+  const changedRows = comparison.changed.map((change, index) => `
+      <tr class="${index % 2 === 0 ? 'row-odd' : 'row-even'}">
+        <td>${renderComparedProfileLink(change)}</td>
+        <td>${escapeHtml(change.name ?? 'N/A')}</td>
+        <td>
+          ${renderComparedStatus(change.status.base, change.status.baseLabel)}
+          ${change.status.changed ? ` → ${renderComparedStatus(change.status.target, change.status.targetLabel)}` : ''}
+        </td>
+        <td>${escapeHtml(formatMoney(change.totalValueBRL.base, BASE_CURRENCY))}</td>
+        <td>${escapeHtml(formatMoney(change.totalValueBRL.target, BASE_CURRENCY))}</td>
+        <td class="${deltaClass(change.totalValueBRL.delta)}">${escapeHtml(formatMoneyDelta(change.totalValueBRL.delta))}</td>
+        <td>${escapeHtml(formatMoney(change.caseValueBRL.base, BASE_CURRENCY))}</td>
+        <td>${escapeHtml(formatMoney(change.caseValueBRL.target, BASE_CURRENCY))}</td>
+        <td class="${deltaClass(change.caseValueBRL.delta)}">${escapeHtml(formatMoneyDelta(change.caseValueBRL.delta))}</td>
+      </tr>
+  `).join('');
+
+  return `<!DOCTYPE html>
+  <html lang="pt-BR">
+    <head>
+      <meta charset="utf-8" />
+      <title>Comparação entre execuções</title>
+      <style>
+${buildReportStyles('960px')}
+        h2 {
+          margin: 36px 0 16px;
+          font-size: 20px;
+        }
+        .delta-up {
+          color: #4ade80;
+          font-weight: 700;
+        }
+        .delta-down {
+          color: #f87171;
+          font-weight: 700;
+        }
+        .delta-neutral {
+          color: #94a3b8;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="report-shell">
+        <div class="report-card">
+          <h1>Comparação entre execuções</h1>
+          <p class="meta">Base: ${escapeHtml(describeRun(base))} • Alvo: ${escapeHtml(describeRun(target))} • Valores em ${BASE_CURRENCY}</p>
+          <div class="summary-grid">
+            ${summaryTiles}
+          </div>
+          <h2>Mudanças (${comparison.changed.length})</h2>
+          <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Steam ID</th>
+                  <th>Apelido</th>
+                  <th>Status</th>
+                  <th>Inventário base</th>
+                  <th>Inventário alvo</th>
+                  <th>Δ Inventário</th>
+                  <th>Caixas base</th>
+                  <th>Caixas alvo</th>
+                  <th>Δ Caixas</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${changedRows || '<tr><td colspan="9">Nenhuma mudança entre os perfis em comum.</td></tr>'}
+              </tbody>
+            </table>
+          </div>
+          <h2>Novos perfis (${comparison.added.length})</h2>
+          ${renderComparedProfilesTable(comparison.added, 'Nenhum perfil novo no alvo.')}
+          <h2>Perfis removidos (${comparison.removed.length})</h2>
+          ${renderComparedProfilesTable(comparison.removed, 'Nenhum perfil da base ficou de fora do alvo.')}
+          <footer>Relatório gerado automaticamente por Art Cases.</footer>
+        </div>
+      </div>
+    </body>
+  </html>`;
 }
 
 // ----------------- Rotas -----------------
@@ -1662,6 +5961,7 @@ app.post('/friends/list', async (req, res) => {
 
 app.post('/process', async (req, res) => {
   try {
+    await exchangeRatesFileLoaded;
     const ids = (req.body.steam_ids || '')
       .split(/\s+/)
       .map((value) => sanitizeSteamId(value))
@@ -1677,7 +5977,8 @@ app.post('/process', async (req, res) => {
       return res.status(400).json({ error: `Limite máximo de ${MAX_STEAM_IDS_LABEL} Steam IDs por requisição.` });
     }
 
-    const processedSet = await loadProcessedSteamIdSet();
+    // rescan=true consulta de novo IDs já registradas (ex.: para comparar com uma execução anterior).
+    const processedSet = parseBooleanFlag(req.body.rescan) ? new Set() : await findProcessedSteamIds(uniqueIds);
     const filteredIds = uniqueIds.filter((id) => !processedSet.has(id));
     const skippedSteamIds = uniqueIds.filter((id) => processedSet.has(id));
 
@@ -1688,13 +5989,70 @@ app.post('/process', async (req, res) => {
       });
     }
 
-    const webhookCandidate = (req.body.webhook_url || '').trim();
+    // Campos enviados explicitamente têm prioridade sobre os do preset.
+    const presetId = String(req.body.presetId ?? req.body.preset_id ?? '').trim();
+    const preset = presetId ? findPreset(presetId) : null;
+    if (presetId && !preset) {
+      return res.status(400).json({ error: 'Preset não encontrado.' });
+    }
+
+    // Um type desconhecido cai no provedor padrão, como antes do registro de provedores.
+    let requestedProvider = String(req.body.type ?? '').trim() || preset?.provider || DEFAULT_INVENTORY_PROVIDER;
+    if (!INVENTORY_PROVIDERS.has(requestedProvider)) {
+      console.warn(`Tipo de job desconhecido (${requestedProvider}); usando o provedor ${DEFAULT_INVENTORY_PROVIDER}.`);
+      requestedProvider = DEFAULT_INVENTORY_PROVIDER;
+    }
+    const providerChain = resolveProviderChain(req.body.providers, [requestedProvider]);
+    for (const name of providerChain) {
+      const candidate = INVENTORY_PROVIDERS.get(name);
+      if (!candidate) {
+        return res.status(400).json({ error: `Provedor de inventário desconhecido: ${name}.` });
+      }
+      if (!isInventoryProviderConfigured(candidate)) {
+        return res.status(400).json({ error: `O provedor ${candidate.label} não está configurado (${candidate.envKey}).` });
+      }
+    }
+    const provider = INVENTORY_PROVIDERS.get(providerChain[0]);
+
+    const currency = normalizeCurrencyCode(req.body.currency) || preset?.currency || DEFAULT_CURRENCY;
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({ error: `Moeda não suportada: ${currency}.` });
+    }
+
+    const { filters, error: filtersError } = normalizeJobFilters(req.body.filters ?? preset?.filters);
+    if (filtersError) {
+      return res.status(400).json({ error: filtersError });
+    }
+
+    // high_value_tiers (lista JSON) substitui as faixas do painel; high_value_threshold (BRL) é atalho
+    // para uma faixa única.
+    let highValueTiers = null;
+    if (req.body.high_value_tiers !== undefined && req.body.high_value_tiers !== '') {
+      const { tiers, error: tiersError } = validateHighValueTiers(req.body.high_value_tiers);
+      if (tiersError) {
+        return res.status(400).json({ error: tiersError });
+      }
+      highValueTiers = tiers;
+    } else if (req.body.high_value_threshold !== undefined && req.body.high_value_threshold !== '') {
+      const { tiers, error: tiersError } = validateHighValueTiers([
+        { id: 'premium', label: 'Premium', minValueBRL: req.body.high_value_threshold },
+      ]);
+      if (tiersError) {
+        return res.status(400).json({ error: 'O limite de alto valor deve ser um número maior que zero.' });
+      }
+      highValueTiers = tiers;
+    }
+
+    const webhookCandidate = (req.body.webhook_url || '').trim() || preset?.webhookUrl || '';
     if (webhookCandidate && !isValidWebhookUrl(webhookCandidate)) {
       return res.status(400).json({ error: 'Informe uma URL de webhook válida ou deixe o campo em branco.' });
     }
 
     const job = createJob();
-    job.jobType = req.body.type === 'montuga' ? 'montuga' : 'steamwebapi';
+    job.jobType = provider.name;
+    job.providerChain = providerChain;
+    job.currency = currency;
+    job.preset = preset ? { id: preset.id, name: preset.name } : null;
     const requestBase = normalizeBaseUrl(resolveRequestBaseUrl(req));
     if (requestBase) {
       job.baseUrl = requestBase;
@@ -1703,7 +6061,14 @@ app.post('/process', async (req, res) => {
 
     res.json({ jobId: job.id, shareLink, ignoredSteamIds: skippedSteamIds });
 
-    startJob(job.id, filteredIds, webhookCandidate, { skippedSteamIds });
+    startJob(job.id, filteredIds, webhookCandidate, {
+      skippedSteamIds,
+      concurrency: req.body.concurrency,
+      autoRetryFailed: parseBooleanFlag(req.body.retry_failed),
+      retryCooldownSeconds: req.body.retry_cooldown_seconds,
+      filters,
+      highValueTiers,
+    });
   } catch (error) {
     console.error('Falha ao iniciar processamento de SteamIDs:', error);
     res.status(500).json({ error: 'Não foi possível iniciar o processamento.' });
@@ -1725,6 +6090,7 @@ app.post('/process/:jobId/pause', (req, res) => {
     job.timer = null;
   }
   appendLog(job.id, 'Processamento pausado pelo usuário.');
+  persistJob(job, { immediate: true });
   broadcast(job, 'job-paused', { ok: true });
   notifyWebhook(job, 'paused');
   res.json({ ok: true });
@@ -1741,6 +6107,7 @@ app.post('/process/:jobId/resume', (req, res) => {
   job.paused = false;
   job.status = 'processing';
   appendLog(job.id, 'Processamento retomado.');
+  persistJob(job, { immediate: true });
   broadcast(job, 'job-resumed', { ok: true });
   notifyWebhook(job, 'resumed');
 
@@ -1795,12 +6162,191 @@ app.post('/process/:jobId/stop', async (req, res) => {
 
   job.stopRequested = true;
   job.manualStopReason = completionReason;
-  appendLog(job.id, 'Finalização manual solicitada. Encerrando após o perfil atual.', 'warn');
+  appendLog(job.id, 'Finalização manual solicitada. Encerrando após os perfis em andamento.', 'warn');
+  persistJob(job, { immediate: true });
   broadcast(job, 'job-stopping', { manual: true, reason: requestReason });
 
+  if (!job.activeWorkers) {
+    processNext(job.id).catch((error) => {
+      console.error('Falha ao finalizar job manualmente:', error);
+      failJob(job.id, 'Não foi possível finalizar o processamento manualmente.');
+    });
+  }
+
   return res.json({ ok: true, finalized: false, reason: requestReason });
 });
 
+app.post('/process/:jobId/retry-failed', (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job não encontrado.' });
+  }
+
+  const failedIds = collectFailedSteamIds(job);
+  if (!failedIds.length) {
+    return res.status(400).json({ error: 'Nenhum perfil com falha para consultar novamente.' });
+  }
+
+  const isActive = job.status === 'processing' || job.status === 'paused';
+  const mode = req.body?.mode === 'child' || req.body?.mode === 'same'
+    ? req.body.mode
+    : isActive ? 'same' : 'child';
+  const cooldownMs = resolveRetryCooldownMs(req.body?.cooldown_seconds);
+
+  if (mode === 'same') {
+    if (!isActive) {
+      return res.status(400).json({ error: 'O job já foi finalizado. Utilize mode=child para criar um novo job.' });
+    }
+    if (job.stopRequested) {
+      return res.status(400).json({ error: 'O job está sendo finalizado manualmente.' });
+    }
+    scheduleFailedRetry(job, cooldownMs);
+    return res.json({
+      ok: true,
+      mode,
+      jobId: job.id,
+      steamIds: failedIds,
+      scheduledAt: new Date(job.retryScheduledAt).toISOString(),
+    });
+  }
+
+  const child = createJob();
+  child.jobType = job.jobType;
+  child.providerChain = getJobProviderChain(job).map((provider) => provider.name);
+  child.currency = job.currency;
+  child.baseUrl = job.baseUrl;
+  const scheduledAt = Date.now() + cooldownMs;
+  child.parentJobId = job.id;
+  child.scheduledStart = {
+    at: scheduledAt,
+    steamIds: failedIds,
+    webhookUrl: job.webhookUrl,
+    options: {
+      concurrency: job.concurrency,
+      autoRetryFailed: job.autoRetryFailed,
+      retryCooldownSeconds: job.retryCooldownMs / 1000,
+      parentJobId: job.id,
+      filters: job.filters,
+      highValueTiers: job.highValueTiers,
+    },
+  };
+  appendLog(job.id, `Job ${child.id} criado para consultar novamente ${failedIds.length} perfil(is) com falha.`, 'info');
+  scheduleChildJobStart(child);
+
+  res.json({
+    ok: true,
+    mode,
+    jobId: child.id,
+    parentJobId: job.id,
+    steamIds: failedIds,
+    scheduledAt: new Date(scheduledAt).toISOString(),
+    shareLink: buildJobShareLink(child, normalizeBaseUrl(resolveRequestBaseUrl(req))),
+  });
+});
+
+app.get('/process/:jobId/profile/:steamId/items', (req, res) => {
+  const jobId = req.params.jobId;
+  // Jobs que já saíram da memória continuam consultáveis pelo histórico enquanto a retenção mantiver os itens.
+  const results = jobs.get(jobId)?.results
+    ?? findHistoryEntry({ jobId, requireResults: true, withinWindow: false })?.results;
+  if (!results) {
+    return res.status(404).json({ error: 'Job não encontrado.' });
+  }
+  const steamId = sanitizeSteamId(req.params.steamId);
+  const profile = steamId ? results.find((candidate) => candidate.id === steamId) : null;
+  if (!profile) {
+    return res.status(404).json({ error: 'Perfil não encontrado neste job.' });
+  }
+
+  const items = readProfileItems(jobId, steamId) || [];
+  res.json({
+    jobId,
+    steamId,
+    status: profile.status,
+    priceSource: profile.priceSource ?? null,
+    currency: profile.currency || BASE_CURRENCY,
+    exchangeRate: profile.exchangeRate ?? null,
+    totalValue: resolveProfileMoney(profile, 'totalValue').value ?? null,
+    itemCount: countInventoryItems(items),
+    items,
+  });
+});
+
+app.get('/process/:jobId/export', (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job não encontrado.' });
+  }
+  const { format, statusFilter, error } = resolveExportRequest(req);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  sendResultsExport(res, {
+    format,
+    baseName: `job_${job.id}_${buildExportFileStamp()}`,
+    profiles: buildExportProfiles(job.results, statusFilter),
+    meta: {
+      jobId: job.id,
+      status: job.status,
+      currency: job.currency || BASE_CURRENCY,
+      exportedAt: new Date().toISOString(),
+      statusFilter: statusFilter ? Array.from(statusFilter) : null,
+      totals: buildTotals(job.results, job.totalUnique),
+    },
+  });
+});
+
+app.get('/reports/compare', async (req, res) => {
+  const baseId = String(req.query.base ?? '').trim();
+  const targetId = String(req.query.target ?? '').trim();
+  const format = String(req.query.format || 'html').trim().toLowerCase();
+  if (!baseId || !targetId) {
+    return res.status(400).json({ error: 'Informe os jobs a comparar em base e target.' });
+  }
+  if (format !== 'html' && format !== 'json') {
+    return res.status(400).json({ error: `Formato de comparação não suportado: ${format}. Use html ou json.` });
+  }
+
+  try {
+    // Qualquer job ainda retido pode ser comparado, não só os da janela do histórico.
+    const [baseSource, targetSource] = await Promise.all([
+      resolveReportSource(baseId, null, { withinWindow: false }),
+      resolveReportSource(targetId, null, { withinWindow: false }),
+    ]);
+    if (!baseSource || !targetSource) {
+      return res.status(404).json({ error: `Job não encontrado: ${!baseSource ? baseId : targetId}.` });
+    }
+    const comparison = compareReportSources(baseSource, targetSource);
+    if (format === 'json') {
+      return res.json(comparison);
+    }
+    res.type('html').send(generateComparisonHtml(comparison));
+  } catch (error) {
+    console.error('Falha ao comparar jobs:', error);
+    res.status(500).json({ error: 'Não foi possível gerar a comparação entre os jobs.' });
+  }
+});
+
+app.get('/process/:jobId/report.pdf', async (req, res) => {
+  try {
+    const entryId = typeof req.query.entryId === 'string' && req.query.entryId.trim() ? req.query.entryId.trim() : null;
+    const source = await resolveReportSource(req.params.jobId, entryId);
+    if (!source) {
+      return res.status(404).json({ error: 'Job não encontrado.' });
+    }
+    const pdf = generateReportPdf(source);
+    const prefix = source.partial ? 'previa' : 'relatorio';
+    const fileName = `${prefix}_${sanitizeReportSegment(req.params.jobId, 'job')}_${buildExportFileStamp(source.generatedAt)}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Falha ao gerar relatório PDF:', error);
+    res.status(500).json({ error: 'Não foi possível gerar o relatório PDF.' });
+  }
+});
+
 app.get('/process/:jobId/partial-report', async (req, res) => {
   const job = jobs.get(req.params.jobId);
   if (!job) {
@@ -1819,7 +6365,7 @@ app.get('/process/:jobId/partial-report', async (req, res) => {
     } else {
       appendLog(job.id, 'Não foi possível salvar a prévia HTML no disco.', 'warn');
     }
-    await appendHistoryEntry(payload);
+    await appendHistoryEntry({ ...payload, ...buildHistorySnapshot(job) });
     notifyWebhook(job, 'partial', { totals: payload.totals });
     res.json(payload);
   } catch (error) {
@@ -1868,7 +6414,9 @@ app.get('/process/:jobId/inspect', (req, res) => {
 
   res.json({
     jobId: job.id,
-    jobType: job.jobType || 'steamwebapi',
+    jobType: job.jobType || DEFAULT_INVENTORY_PROVIDER,
+    providers: getJobProviderChain(job).map((provider) => provider.name),
+    currency: job.currency || BASE_CURRENCY,
     status: job.status,
     paused: job.paused,
     totals,
@@ -1876,7 +6424,14 @@ app.get('/process/:jobId/inspect', (req, res) => {
     requestedIds: job.requestedIds,
     pendingIds: getPendingIds(job),
     skippedSteamIds: job.skippedSteamIds ?? [],
-    results: job.results,
+    failedSteamIds: collectFailedSteamIds(job),
+    retryPass: job.retryPass ?? 0,
+    retryScheduledAt: job.retryScheduledAt ? new Date(job.retryScheduledAt).toISOString() : null,
+    parentJobId: job.parentJobId ?? null,
+    filters: getJobFilters(job),
+    preset: job.preset ?? null,
+    highValueTiers: getHighValueTiers(job),
+    results: job.results.map(omitProfileItems),
     logs: job.logs,
     reportHtml: job.result?.reportHtml ?? null,
     reportPath: job.result?.reportPath ?? null,
@@ -1893,9 +6448,7 @@ app.get('/process/:jobId/inspect', (req, res) => {
 });
 
 app.get('/process/active', (req, res) => {
-  const requestedType = req.query.type === 'montuga' ? 'montuga'
-    : req.query.type === 'steamwebapi' ? 'steamwebapi'
-    : null;
+  const requestedType = INVENTORY_PROVIDERS.has(req.query.type) ? req.query.type : null;
   const job = findLatestActiveJob(requestedType);
   if (!job) {
     return res.json({ jobId: null });
@@ -1910,7 +6463,7 @@ app.get('/process/active', (req, res) => {
 
   res.json({
     jobId: job.id,
-    jobType: job.jobType || 'steamwebapi',
+    jobType: job.jobType || DEFAULT_INVENTORY_PROVIDER,
     status: job.status,
     paused: job.paused,
     totals,
@@ -1920,8 +6473,8 @@ app.get('/process/active', (req, res) => {
   });
 });
 
-function buildHistoryHtml(entries) {
-  const rows = entries.map((entry, index) => {
+function buildHistoryHtml(entries, windowLabel) {
+  const rows = Array.from(entries, (entry, index) => {
     const hasHtml = typeof entry.reportHtml === 'string' && entry.reportHtml.length > 0;
     const encodedHtml = hasHtml ? Buffer.from(entry.reportHtml, 'utf-8').toString('base64') : '';
     const isoTimestamp = new Date(entry.generatedAt || Date.now()).toISOString();
@@ -1936,9 +6489,18 @@ function buildHistoryHtml(entries) {
     const iframeMarkup = hasHtml
       ? `<iframe src="data:text/html;base64,${encodedHtml}" sandbox="allow-same-origin"></iframe>`
       : '<p class="history-empty">Este registro não possui HTML disponível para visualização.</p>';
-    const downloadMarkup = escapedHref
-      ? `<a class="download-btn" href="${escapedHref}" download="${escapeHtml(baseFileName)}">Baixar HTML</a>`
-      : '';
+    const hasResults = typeof entry.resultCount === 'number';
+    const downloadMarkup = [
+      escapedHref
+        ? `<a class="download-btn" href="${escapedHref}" download="${escapeHtml(baseFileName)}">Baixar HTML</a>`
+        : '',
+      hasResults
+        ? `<a class="download-btn" href="/process/${encodeURIComponent(entry.jobId)}/report.pdf?entryId=${encodeURIComponent(entry.id)}">Baixar PDF</a>`
+        : '',
+      hasResults
+        ? `<a class="download-btn" href="/history/entries/${encodeURIComponent(entry.id)}/export?format=xlsx">Baixar Excel</a>`
+        : '',
+    ].join('');
 
     return `
     <section class="history-entry">
@@ -1969,7 +6531,7 @@ function buildHistoryHtml(entries) {
   <html lang="pt-BR">
     <head>
       <meta charset="utf-8" />
-      <title>Histórico de relatórios (24h)</title>
+      <title>Histórico de relatórios (${windowLabel})</title>
       <style>
         body {
           font-family: 'Segoe UI', Roboto, sans-serif;
@@ -2005,6 +6567,9 @@ function buildHistoryHtml(entries) {
         .download-btn:hover {
           background: rgba(34, 197, 94, 0.28);
         }
+        .download-btn + .download-btn {
+          margin-left: 8px;
+        }
         header {
           display: flex;
           gap: 12px;
@@ -2069,63 +6634,124 @@ function buildHistoryHtml(entries) {
       </style>
     </head>
     <body>
-      <h1>Relatórios gerados nas últimas 24 horas</h1>
+      <h1>Relatórios gerados nas últimas ${windowLabel}</h1>
       ${rows || '<p>Nenhum relatório disponível no período informado.</p>'}
     </body>
   </html>`;
 }
 
 app.get('/download-history', async (req, res) => {
+  const { historyMaxAgeHours } = getRetentionPolicy();
+  const windowLabel = `${new Intl.NumberFormat('pt-BR').format(historyMaxAgeHours)} horas`;
   try {
-    const history = await loadHistory();
-    const entries = prepareHistoryEntries(history.entries);
-
-    if (!entries.length) {
-      return res.status(404).json({ error: 'Nenhum relatório disponível nas últimas 24 horas.' });
+    if (!listHistoryEntries({ limit: 1 }).total) {
+      return res.status(404).json({ error: `Nenhum relatório disponível nas últimas ${windowLabel}.` });
     }
 
-    const html = buildHistoryHtml(entries);
+    const html = buildHistoryHtml(iterateHistoryEntries(), windowLabel);
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.setHeader('Content-Disposition', 'attachment; filename="relatorios_24h.html"');
+    res.setHeader('Content-Disposition', `attachment; filename="relatorios_${historyMaxAgeHours}h.html"`);
     res.send(html);
   } catch (error) {
     console.error('Falha ao gerar histórico consolidado:', error);
-    res.status(500).json({ error: 'Não foi possível gerar o histórico das últimas 24 horas.' });
+    res.status(500).json({ error: `Não foi possível gerar o histórico das últimas ${windowLabel}.` });
   }
 });
 
 app.get('/history/processed', async (req, res) => {
   try {
-    const limitParam = Number.parseInt(req.query.limit, 10);
-    let limit = Number.isFinite(limitParam) && limitParam > 0 ? limitParam : DEFAULT_PROCESSED_HISTORY_LIMIT;
-    limit = Math.min(Math.max(limit, 1), MAX_PROCESSED_HISTORY_LIMIT);
-
-    const history = await loadHistory();
-    const sanitized = Array.isArray(history.processedSteamIds)
-      ? history.processedSteamIds.map((value) => sanitizeSteamId(value)).filter(Boolean)
-      : [];
-    const unique = Array.from(new Set(sanitized));
-    const total = unique.length;
-    const steamIds = unique.slice(Math.max(total - limit, 0)).reverse();
-
-    res.json({ total, steamIds });
+    const { limit, offset } = readHistoryPagination(req.query, DEFAULT_PROCESSED_HISTORY_LIMIT, MAX_PROCESSED_HISTORY_LIMIT);
+    const { total, steamIds } = listProcessedSteamIds({ limit, offset });
+    const nextOffset = offset + steamIds.length < total ? offset + steamIds.length : null;
+
+    res.json({ total, steamIds, limit, offset, nextOffset });
   } catch (error) {
     console.error('Não foi possível carregar o histórico de SteamIDs processadas:', error);
     res.status(500).json({ error: 'Falha ao carregar o histórico de IDs processadas.' });
   }
 });
 
+app.get('/profiles/:steamId/history', (req, res) => {
+  const steamId = sanitizeSteamId(req.params.steamId);
+  if (!steamId) {
+    return res.status(400).json({ error: 'Steam ID inválido.' });
+  }
+  const limitParam = Number.parseInt(req.query.limit, 10);
+  const limit = Math.min(
+    Number.isFinite(limitParam) && limitParam > 0 ? limitParam : DEFAULT_PROFILE_HISTORY_LIMIT,
+    MAX_PROFILE_HISTORY_LIMIT,
+  );
+  let since = null;
+  if (req.query.since) {
+    since = new Date(req.query.since).getTime();
+    if (Number.isNaN(since)) {
+      return res.status(400).json({ error: 'Parâmetro since inválido: use uma data ISO 8601.' });
+    }
+  }
+
+  try {
+    const snapshots = readProfileHistory(steamId, { limit, since });
+    const valued = snapshots.filter((snapshot) => typeof snapshot.totalValueBRL === 'number');
+    res.json({
+      steamId,
+      count: snapshots.length,
+      snapshots,
+      totalValueBRLDelta: valued.length > 1 ? valued[valued.length - 1].totalValueBRL - valued[0].totalValueBRL : null,
+    });
+  } catch (error) {
+    console.error('Não foi possível carregar o histórico do perfil:', error);
+    res.status(500).json({ error: 'Falha ao carregar o histórico do perfil.' });
+  }
+});
+
 app.get('/history/entries', async (req, res) => {
   try {
-    const history = await loadHistory();
-    const entries = prepareHistoryEntries(history.entries);
-    res.json({ entries });
+    // Os perfis de cada entrada só saem pela exportação; aqui vai apenas a contagem (resultCount).
+    const { limit, offset } = readHistoryPagination(req.query, DEFAULT_HISTORY_PAGE_SIZE, MAX_HISTORY_PAGE_SIZE);
+    const { total, entries } = listHistoryEntries({ limit, offset });
+    const nextOffset = offset + entries.length < total ? offset + entries.length : null;
+    res.json({ entries, total, limit, offset, nextOffset });
   } catch (error) {
     console.error('Não foi possível carregar o histórico de relatórios:', error);
     res.status(500).json({ error: 'Falha ao carregar o histórico de relatórios.' });
   }
 });
 
+app.get('/history/entries/:entryId/export', async (req, res) => {
+  const { format, statusFilter, error } = resolveExportRequest(req);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const entry = findHistoryEntry({ entryId: req.params.entryId });
+    if (!entry) {
+      return res.status(404).json({ error: 'Entrada de histórico não encontrada.' });
+    }
+    if (!Array.isArray(entry.results)) {
+      return res.status(409).json({ error: 'Esta entrada foi gravada antes da exportação existir e não guarda os perfis.' });
+    }
+
+    sendResultsExport(res, {
+      format,
+      baseName: `historico_${entry.jobId}_${buildExportFileStamp(entry.generatedAt)}`,
+      profiles: buildExportProfiles(entry.results, statusFilter),
+      meta: {
+        entryId: entry.id,
+        jobId: entry.jobId,
+        generatedAt: entry.generatedAt,
+        partial: entry.partial,
+        currency: entry.currency || BASE_CURRENCY,
+        statusFilter: statusFilter ? Array.from(statusFilter) : null,
+        totals: entry.totals ?? null,
+      },
+    });
+  } catch (historyError) {
+    console.error('Falha ao exportar entrada do histórico:', historyError);
+    res.status(500).json({ error: 'Não foi possível exportar a entrada do histórico.' });
+  }
+});
+
 app.get('/process/:jobId/state', (req, res) => {
   const job = jobs.get(req.params.jobId);
   if (!job) {
@@ -2141,39 +6767,372 @@ app.get('/process/:jobId/state', (req, res) => {
   });
 });
 
+app.get('/currencies', (req, res) => {
+  res.json(describeExchangeRates());
+});
+
+app.get('/providers', (req, res) => {
+  res.json({ providers: describeInventoryProviders() });
+});
+
+app.get('/presets', (req, res) => {
+  res.json({ presets: getPresets().map(describePreset) });
+});
+
 app.get('/health', (req, res) => {
   res.json({
     ok: true,
     timestamp: new Date().toISOString(),
     distReady: existsSync(DIST_DIR),
+    upstreams: describeUpstreamHealth(),
   });
 });
 
 app.post('/auth', (req, res) => {
-  if (!PANEL_PASSWORD) return res.json({ ok: true });
-  const { password } = req.body;
-  if (password === PANEL_PASSWORD) return res.json({ ok: true });
+  if (!PANEL_PASSWORD && !PANEL_OPERATORS.size) return res.json({ ok: true });
+  const { password } = req.body || {};
+  if (isPanelPasswordValid(password)) {
+    const operator = PANEL_OPERATORS.get(password);
+    return res.json({ ok: true, operator: operator ? { name: operator, verified: true } : null });
+  }
   res.status(401).json({ ok: false, error: 'Senha incorreta.' });
 });
 
 app.get('/settings', authMiddleware, (req, res) => {
-  res.json(runtimeSettings);
+  res.json(describeRuntimeSettings());
 });
 
 app.post('/settings', authMiddleware, async (req, res) => {
-  const { caseThreshold, webhookUrl } = req.body;
-  if (typeof caseThreshold === 'number' && caseThreshold >= 0 && caseThreshold <= 100) {
+  const { caseThreshold, webhookUrl, webhookSecret, itemCategories, filterCategory, highValueTiers, retention } = req.body;
+  let retentionPolicy = getRetentionPolicy();
+  if (retention !== undefined) {
+    const validation = validateRetentionSettings(
+      retention && typeof retention === 'object' ? { ...retentionPolicy, ...retention } : retention,
+    );
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+    retentionPolicy = validation.retention;
+  }
+  let tiers = getHighValueTiers();
+  if (highValueTiers !== undefined) {
+    const validation = validateHighValueTiers(highValueTiers);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+    tiers = validation.tiers;
+  }
+  if (webhookSecret !== undefined && webhookSecret !== null && typeof webhookSecret !== 'string') {
+    return res.status(400).json({ error: 'O segredo de assinatura dos webhooks deve ser um texto.' });
+  }
+  if (caseThreshold !== undefined
+    && (typeof caseThreshold !== 'number' || !Number.isFinite(caseThreshold) || caseThreshold < 0 || caseThreshold > 100)) {
+    return res.status(400).json({ error: 'O limite de caixas deve ser um número entre 0 e 100.' });
+  }
+  if (webhookUrl !== undefined && webhookUrl !== null) {
+    if (typeof webhookUrl !== 'string' || (webhookUrl.trim() && !isValidWebhookUrl(webhookUrl.trim()))) {
+      return res.status(400).json({ error: 'Informe uma URL de webhook válida ou deixe o campo em branco.' });
+    }
+  }
+  let categories = getItemCategories();
+  if (itemCategories !== undefined) {
+    const validation = validateItemCategories(itemCategories);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+    categories = validation.categories;
+  }
+  const nextFilterCategory = filterCategory !== undefined
+    ? String(filterCategory).trim().toLowerCase()
+    : runtimeSettings.filterCategory;
+  if (filterCategory !== undefined || itemCategories !== undefined) {
+    const known = nextFilterCategory === OTHER_ITEM_CATEGORY.id
+      || categories.some((category) => category.id === nextFilterCategory);
+    if (!known) {
+      return res.status(400).json({ error: `Categoria de filtro desconhecida: ${nextFilterCategory}.` });
+    }
+  }
+
+  const before = { ...runtimeSettings };
+  if (typeof caseThreshold === 'number') {
     runtimeSettings.caseThreshold = caseThreshold;
   }
   if (typeof webhookUrl === 'string') {
     runtimeSettings.webhookUrl = webhookUrl.trim();
   }
+  if (typeof webhookSecret === 'string') {
+    runtimeSettings.webhookSecret = webhookSecret.trim();
+  }
+  runtimeSettings.itemCategories = categories;
+  runtimeSettings.filterCategory = nextFilterCategory;
+  runtimeSettings.highValueTiers = tiers;
+  runtimeSettings.retention = retentionPolicy;
+  try {
+    await savePanelSettings();
+  } catch (err) {
+    console.warn('Não foi possível salvar configurações:', err);
+  }
+  await recordSettingsAudit(
+    req,
+    'alterou configurações',
+    diffSettings(before, runtimeSettings, ['caseThreshold', 'webhookUrl', 'filterCategory', 'itemCategories', 'highValueTiers', 'retention'])
+      .concat(before.webhookSecret !== runtimeSettings.webhookSecret
+        ? [{ field: 'webhookSecret', from: '***', to: '***' }]
+        : []),
+  );
+  res.json(describeRuntimeSettings());
+});
+
+app.get('/settings/retention', authMiddleware, (req, res) => {
+  const limitParam = Number.parseInt(req.query.limit, 10);
+  const limit = Math.min(Math.max(Number.isFinite(limitParam) && limitParam > 0 ? limitParam : DEFAULT_RETENTION_SWEEPS_LIMIT, 1), RETENTION_SWEEP_LOG_LIMIT);
+  res.json({
+    policy: getRetentionPolicy(),
+    intervalMs: RETENTION_SWEEP_INTERVAL_MS,
+    running: Boolean(retentionSweepInFlight),
+    sweeps: listRetentionSweeps(limit),
+  });
+});
+
+// Simula a varredura com a política salva ou com uma política ainda não salva enviada em { retention }.
+app.post('/settings/retention/dry-run', authMiddleware, async (req, res) => {
+  let policy = getRetentionPolicy();
+  if (req.body?.retention !== undefined) {
+    const validation = validateRetentionSettings(
+      req.body.retention && typeof req.body.retention === 'object' ? { ...policy, ...req.body.retention } : req.body.retention,
+    );
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+    policy = validation.retention;
+  }
+  try {
+    res.json(await runRetentionSweep({ trigger: 'simulação', dryRun: true, policy }));
+  } catch (error) {
+    console.error('Falha ao simular a varredura de retenção:', error);
+    res.status(500).json({ error: 'Não foi possível simular a varredura de retenção.' });
+  }
+});
+
+app.post('/settings/retention/sweep', authMiddleware, async (req, res) => {
+  try {
+    res.json(await runRetentionSweep({ trigger: `manual (${describePanelOperator(resolvePanelOperator(req))})` }));
+  } catch (error) {
+    console.error('Falha na varredura de retenção:', error);
+    res.status(500).json({ error: 'Não foi possível executar a varredura de retenção.' });
+  }
+});
+
+app.post('/settings/webhook/test', authMiddleware, async (req, res) => {
+  const stage = String(req.body?.stage || 'completed').trim();
+  if (!STAGE_BUILDERS[stage]) {
+    return res.status(400).json({ error: `Etapa desconhecida: ${stage}.`, stages: Object.keys(STAGE_BUILDERS) });
+  }
+
+  const explicitUrl = typeof req.body?.url === 'string' ? req.body.url.trim() : '';
+  const target = explicitUrl ? { url: explicitUrl, source: 'request' } : resolveWebhookTarget(null);
+  if (!target.url) {
+    return res.status(400).json({ error: 'Nenhum webhook configurado no painel nem em NOTIFY_WEBHOOK_URL.' });
+  }
+  if (!isValidWebhookUrl(target.url)) {
+    return res.status(400).json({ error: 'Informe uma URL de webhook válida.' });
+  }
+
+  const payload = buildSampleWebhookPayload(stage, normalizeBaseUrl(resolveRequestBaseUrl(req)));
+  try {
+    const status = await deliverWebhook(target.url, payload, detectWebhookFormat(target.url), { maxAttempts: 1 });
+    res.json({ ok: true, url: target.url, source: target.source, stage, status, payload });
+  } catch (error) {
+    res.status(502).json({ ok: false, url: target.url, source: target.source, stage, error: error.message, payload });
+  }
+});
+
+app.get('/settings/webhooks', authMiddleware, (req, res) => {
+  res.json({
+    subscriptions: getWebhookSubscriptions(),
+    stages: Object.entries(STAGE_LABELS).map(([name, label]) => ({ name, label })),
+    formats: describeWebhookFormats(),
+  });
+});
+
+app.post('/settings/webhooks', authMiddleware, async (req, res) => {
+  const { subscription, error } = validateWebhookSubscription(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  runtimeSettings.webhookSubscriptions = [...getWebhookSubscriptions(), subscription];
+  try {
+    await savePanelSettings();
+  } catch (err) {
+    console.warn('Não foi possível salvar configurações:', err);
+  }
+  await recordSettingsAudit(req, 'criou a assinatura de webhook', diffSettings({}, subscription, SUBSCRIPTION_AUDIT_FIELDS), subscription.name);
+  res.status(201).json(subscription);
+});
+
+app.put('/settings/webhooks/:subscriptionId', authMiddleware, async (req, res) => {
+  const existing = findWebhookSubscription(req.params.subscriptionId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Assinatura de webhook não encontrada.' });
+  }
+  const { subscription, error } = validateWebhookSubscription(req.body, existing);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  runtimeSettings.webhookSubscriptions = getWebhookSubscriptions()
+    .map((candidate) => (candidate.id === subscription.id ? subscription : candidate));
+  try {
+    await savePanelSettings();
+  } catch (err) {
+    console.warn('Não foi possível salvar configurações:', err);
+  }
+  await recordSettingsAudit(req, 'alterou a assinatura de webhook', diffSettings(existing, subscription, SUBSCRIPTION_AUDIT_FIELDS), subscription.name);
+  res.json(subscription);
+});
+
+app.delete('/settings/webhooks/:subscriptionId', authMiddleware, async (req, res) => {
+  const existing = findWebhookSubscription(req.params.subscriptionId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Assinatura de webhook não encontrada.' });
+  }
+  runtimeSettings.webhookSubscriptions = getWebhookSubscriptions().filter((candidate) => candidate.id !== existing.id);
+  try {
+    await savePanelSettings();
+  } catch (err) {
+    console.warn('Não foi possível salvar configurações:', err);
+  }
+  await recordSettingsAudit(req, 'removeu a assinatura de webhook', diffSettings(existing, {}, SUBSCRIPTION_AUDIT_FIELDS), existing.name);
+  res.json({ ok: true });
+});
+
+app.post('/settings/webhooks/:subscriptionId/test', authMiddleware, async (req, res) => {
+  const subscription = findWebhookSubscription(req.params.subscriptionId);
+  if (!subscription) {
+    return res.status(404).json({ error: 'Assinatura de webhook não encontrada.' });
+  }
+  const stage = String(req.body?.stage || subscription.stages[0] || 'completed').trim();
+  if (!STAGE_BUILDERS[stage]) {
+    return res.status(400).json({ error: `Etapa desconhecida: ${stage}.` });
+  }
+
+  const payload = buildSampleWebhookPayload(stage, normalizeBaseUrl(resolveRequestBaseUrl(req)));
+  try {
+    const status = await deliverWebhook(subscription.url, payload, subscription.format, { maxAttempts: 1 });
+    res.json({ ok: true, url: subscription.url, format: subscription.format, stage, status });
+  } catch (error) {
+    res.status(502).json({ ok: false, url: subscription.url, format: subscription.format, stage, error: error.message });
+  }
+});
+
+app.get('/settings/webhooks/deliveries', authMiddleware, async (req, res) => {
+  const status = String(req.query.status || '').trim();
+  const jobId = String(req.query.jobId || '').trim();
+  const entries = (await loadWebhookDeliveryLog())
+    .filter((entry) => (!status || entry.status === status) && (!jobId || entry.jobId === jobId))
+    .reverse();
+  res.json({ deliveries: entries });
+});
+
+app.post('/settings/webhooks/deliveries/:deliveryId/replay', authMiddleware, async (req, res) => {
+  const entries = await loadWebhookDeliveryLog();
+  const entry = entries.find((candidate) => candidate.id === req.params.deliveryId);
+  if (!entry) {
+    return res.status(404).json({ error: 'Entrega de webhook não encontrada.' });
+  }
+
+  // O reenvio mantém o ID de entrega original para o receptor reconhecer a duplicata.
+  const operator = resolvePanelOperator(req);
+  const replay = { at: new Date().toISOString(), operator: operator.name, operatorVerified: operator.verified };
+  try {
+    replay.status = await deliverWebhook(entry.url, entry.payload, entry.format, { deliveryId: entry.id, maxAttempts: 1 });
+    replay.ok = true;
+  } catch (error) {
+    replay.ok = false;
+    replay.status = error.status ?? null;
+    replay.error = error.message;
+  }
+
+  let updatedEntry = entry;
+  await queueWebhookDeliveryLogMutation((current) => current.map((candidate) => {
+    if (candidate.id !== entry.id) return candidate;
+    updatedEntry = {
+      ...candidate,
+      status: replay.ok ? 'replayed' : candidate.status,
+      replays: [...(candidate.replays || []), replay],
+    };
+    return updatedEntry;
+  }));
+
+  res.status(replay.ok ? 200 : 502).json({ ok: replay.ok, delivery: updatedEntry });
+});
+
+app.get('/settings/audit', authMiddleware, async (req, res) => {
+  const requested = Number.parseInt(req.query.limit, 10);
+  const limit = Number.isFinite(requested) && requested > 0
+    ? Math.min(requested, SETTINGS_AUDIT_MAX_LIMIT)
+    : SETTINGS_AUDIT_DEFAULT_LIMIT;
+  res.json({ entries: await readSettingsAudit(limit) });
+});
+
+app.get('/settings/presets', authMiddleware, (req, res) => {
+  res.json({ presets: getPresets() });
+});
+
+app.get('/settings/presets/:presetId', authMiddleware, (req, res) => {
+  const preset = findPreset(req.params.presetId);
+  if (!preset) {
+    return res.status(404).json({ error: 'Preset não encontrado.' });
+  }
+  res.json(preset);
+});
+
+app.post('/settings/presets', authMiddleware, async (req, res) => {
+  const { preset, error } = validatePreset(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  runtimeSettings.presets = [...getPresets(), preset];
+  try {
+    await savePanelSettings();
+  } catch (err) {
+    console.warn('Não foi possível salvar configurações:', err);
+  }
+  await recordSettingsAudit(req, 'criou o preset', diffSettings({}, preset, PRESET_AUDIT_FIELDS), preset.name);
+  res.status(201).json(preset);
+});
+
+app.put('/settings/presets/:presetId', authMiddleware, async (req, res) => {
+  const existing = findPreset(req.params.presetId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Preset não encontrado.' });
+  }
+  const { preset, error } = validatePreset(req.body, existing);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  runtimeSettings.presets = getPresets().map((candidate) => (candidate.id === preset.id ? preset : candidate));
   try {
     await savePanelSettings();
   } catch (err) {
     console.warn('Não foi possível salvar configurações:', err);
   }
-  res.json(runtimeSettings);
+  await recordSettingsAudit(req, 'alterou o preset', diffSettings(existing, preset, PRESET_AUDIT_FIELDS), preset.name);
+  res.json(preset);
+});
+
+app.delete('/settings/presets/:presetId', authMiddleware, async (req, res) => {
+  const existing = findPreset(req.params.presetId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Preset não encontrado.' });
+  }
+  runtimeSettings.presets = getPresets().filter((candidate) => candidate.id !== existing.id);
+  try {
+    await savePanelSettings();
+  } catch (err) {
+    console.warn('Não foi possível salvar configurações:', err);
+  }
+  await recordSettingsAudit(req, 'removeu o preset', diffSettings(existing, {}, PRESET_AUDIT_FIELDS), existing.name);
+  res.json({ ok: true });
 });
 
 app.get('*', (req, res, next) => {
@@ -2187,4 +7146,22 @@ app.get('*', (req, res, next) => {
   res.sendFile(indexFile);
 });
 
+if (MIGRATE_HISTORY_ONLY) {
+  if (!migrateLegacyHistory()) {
+    console.log('Nenhum history.json legível para importar.');
+  }
+  process.exit(0);
+}
+
+try {
+  migrateLegacyHistory();
+} catch (error) {
+  console.error('Falha ao migrar o history.json para o banco de dados:', error);
+}
+
+restorePersistedJobs().catch((error) => {
+  console.error('Falha ao restaurar jobs persistidos:', error);
+});
+scheduleRetentionSweeps();
+
 app.listen(PORT, () => console.log(`✅ Servidor iniciado em http://localhost:${PORT}`));